@@ -0,0 +1,132 @@
+// api/_auth.js
+// Accounts + signed session tokens for the API handlers.
+//
+// - Passwords are hashed with scrypt (random 16-byte salt per account).
+// - Sessions are HS256 JWTs signed with HP_AUTH_SECRET. Without that env var a random
+//   secret is generated once and kept in storage, so local dev works out of the box.
+// - Accounts are stored under a hash of the normalized email, so any address fits the disk
+//   store's file names; ones registered under the plain email before that are still found.
+// - requireAccount(req, res) reads "Authorization: Bearer <token>" and answers 401 itself
+//   when it is missing or invalid.
+
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+
+const scrypt = promisify(crypto.scrypt);
+
+const TOKEN_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 days
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_EMAIL_LENGTH = 254;
+
+const accountKey = email => `account:${crypto.createHash("sha256").update(email).digest("hex")}`;
+const legacyAccountKey = email => `account:${email}`;
+
+export function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+export function validateCredentials(email, password) {
+  if (email.length > MAX_EMAIL_LENGTH || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return "Enter a valid email address";
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+export async function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = await scrypt(password, salt, 64);
+  return { salt, hash: hash.toString("hex") };
+}
+
+export async function verifyPassword(password, { salt, hash }) {
+  const { hash: candidate } = await hashPassword(password, salt);
+  const a = Buffer.from(candidate, "hex");
+  const b = Buffer.from(hash, "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+let cachedSecret = null;
+
+async function getSecret(storage) {
+  if (process.env.HP_AUTH_SECRET) return process.env.HP_AUTH_SECRET;
+  if (cachedSecret) return cachedSecret;
+
+  const created = await storage.update("auth:secret", current =>
+    current ? undefined : crypto.randomBytes(32).toString("hex")
+  );
+  cachedSecret = created ?? (await storage.get("auth:secret"));
+  return cachedSecret;
+}
+
+const b64url = buf => Buffer.from(buf).toString("base64url");
+
+export async function signToken(storage, account) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = b64url(JSON.stringify({ sub: account.id, email: account.email, iat: now, exp: now + TOKEN_TTL_SECONDS }));
+  const sig = crypto.createHmac("sha256", await getSecret(storage)).update(`${header}.${payload}`).digest();
+  return `${header}.${payload}.${b64url(sig)}`;
+}
+
+// Resolves to { id, email } or null
+export async function verifyToken(storage, token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) return null;
+
+  const [header, payload, sig] = parts;
+  const expected = crypto.createHmac("sha256", await getSecret(storage)).update(`${header}.${payload}`).digest();
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!claims.sub || !(claims.exp > Date.now() / 1000)) return null;
+    return { id: claims.sub, email: claims.email };
+  } catch {
+    return null;
+  }
+}
+
+export async function createAccount(storage, email, password) {
+  if (await findAccount(storage, email)) return null;
+  const { salt, hash } = await hashPassword(password);
+  const account = { id: `a_${crypto.randomUUID()}`, email, salt, hash, createdAt: Date.now() };
+
+  let created = false;
+  await storage.update(accountKey(email), current => {
+    if (current) return undefined;
+    created = true;
+    return account;
+  });
+  return created ? account : null; // null = email already registered
+}
+
+export async function findAccount(storage, email) {
+  const account = await storage.get(accountKey(email));
+  if (account) return account;
+  // longer plain keys never made a valid file name, so nothing was stored under them
+  const legacy = legacyAccountKey(email);
+  return encodeURIComponent(legacy).length <= 200 ? storage.get(legacy) : null;
+}
+
+// Resolves to the account or null. Unknown emails still cost one scrypt, so the response time
+// doesn't tell which emails are registered.
+let dummyCredentials = null;
+export async function verifyLogin(storage, email, password) {
+  if (typeof password !== "string") return null;
+  const account = email ? await findAccount(storage, email) : null;
+  dummyCredentials ||= hashPassword(crypto.randomBytes(16).toString("hex"));
+  const ok = await verifyPassword(password, account || await dummyCredentials);
+  return account && ok ? account : null;
+}
+
+export async function requireAccount(storage, req, res) {
+  const auth = String(req.headers?.authorization || "");
+  const token = auth.startsWith("Bearer ") ? auth.slice(7) : "";
+  const account = token ? await verifyToken(storage, token) : null;
+  if (!account) {
+    res.status(401).json({ error: "Sign in required" });
+    return null;
+  }
+  return account;
+}
@@ -0,0 +1,83 @@
+// api/_library.js
+// Per-profile document library shared by api/files.js and api/library.js (the leading "_"
+// keeps it from being routed), plus the upload helpers both endpoints need.
+//
+// Each distinct document is stored once, keyed by the SHA-256 of its bytes, in the blob store at
+// ["library", accountId, profile, hash]. Attachment versions under api/files.js reference it
+// through `docHash` and keep no bytes of their own; versions uploaded before the library existed
+// still hold their own data until adoptVersion() moves it here.
+
+import crypto from "node:crypto";
+
+export const MAX_FILE_BYTES = Number(process.env.HP_MAX_FILE_BYTES) || 10 * 1024 * 1024;
+
+export const PDF = "application/pdf";
+export const DOC = "application/msword";
+export const DOCX = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const MIME_BY_EXT = { pdf: PDF, doc: DOC, docx: DOCX };
+
+export function mimeFor(req, filename) {
+  const declared = String(req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (declared && declared !== "application/octet-stream") return declared;
+  // browsers sometimes send no type for .doc/.docx; fall back to the extension
+  const ext = String(filename).split(".").pop().toLowerCase();
+  return MIME_BY_EXT[ext] || declared || "application/octet-stream";
+}
+
+// Resolves to a Buffer, or null once the body grows past `limit`
+export async function readBody(req, limit) {
+  if (Buffer.isBuffer(req.body)) return req.body.length > limit ? null : req.body;
+  if (typeof req.body === "string") return readBody({ body: Buffer.from(req.body) }, limit);
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+export function isHash(value) {
+  return /^[a-f0-9]{64}$/.test(String(value || ""));
+}
+
+export function libraryPrefix(owner) {
+  return ["library", ...owner];
+}
+
+export async function findDocument(blobs, owner, hash) {
+  const [meta] = await blobs.list([...libraryPrefix(owner), hash]);
+  return meta || null;
+}
+
+// Stores the bytes unless the same content is already in the library; resolves to { doc, created }
+export async function storeDocument(blobs, owner, data, { filename, mime, uploadedAt = Date.now() }) {
+  const hash = crypto.createHash("sha256").update(data).digest("hex");
+  const existing = await findDocument(blobs, owner, hash);
+  if (existing) return { doc: existing, created: false };
+
+  const doc = { hash, filename, mime, size: data.length, uploadedAt };
+  await blobs.put([...libraryPrefix(owner), hash], data, doc);
+  return { doc, created: true };
+}
+
+// The bytes of one attachment version, wherever they live
+export async function readVersionData(blobs, owner, meta) {
+  if (meta.docHash) return (await blobs.get([...libraryPrefix(owner), meta.docHash]))?.data || null;
+  return (await blobs.get([...owner, meta.jobId, meta.type, meta.versionId]))?.data || null;
+}
+
+// Moves a version that still holds its own bytes into the library; resolves to its new meta
+export async function adoptVersion(blobs, owner, meta) {
+  if (meta.docHash) return meta;
+  const segments = [...owner, meta.jobId, meta.type, meta.versionId];
+  const hit = await blobs.get(segments);
+  if (!hit) return meta;
+
+  const { doc } = await storeDocument(blobs, owner, hit.data, meta);
+  const next = { ...hit.meta, docHash: doc.hash };
+  await blobs.put(segments, Buffer.alloc(0), next);
+  return next;
+}
@@ -0,0 +1,240 @@
+// api/_storage.js
+// Pluggable storage for the API handlers (the leading "_" keeps it from being routed).
+//
+// Backends:
+// - file:   one JSON document per key under HP_DATA_DIR (default ./.data), written atomically
+// - memory: a plain Map that lives as long as the process (tests / throwaway demos)
+//
+// Pick one with HP_STORAGE=file|memory (default: file).
+// Every backend has the same async contract: get(key) -> value | null, set(key, value), delete(key),
+// plus update(key, fn): read-modify-write where fn(current) returns the next value (undefined = no write).
+// update() calls for the same key are serialized within this process.
+//
+// Binary attachments use a separate blob store with the same two backends, addressed by
+// path segments (e.g. [accountId, profile, jobId, type, versionId]):
+//   put(segments, data, meta), get(segments) -> { meta, data } | null,
+//   list(prefix) -> meta[], delete(prefix) (one entry or everything below it),
+//   remove(segments) (exactly one entry), setMeta(segments, meta) (no-op when the entry is gone).
+// Segments must pass isSafeSegment(); the disk store refuses anything else rather than let
+// "." or ".." walk out of the folder it was meant for.
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+// Per-key promise chains: each update waits for the previous one on the same key
+function createKeyLock() {
+  const tails = new Map();
+  return function withLock(key, fn) {
+    const run = (tails.get(key) || Promise.resolve()).then(fn, fn);
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => { if (tails.get(key) === tail) tails.delete(key); });
+    return run;
+  };
+}
+
+function withUpdate(storage) {
+  const withLock = createKeyLock();
+  storage.update = (key, fn) => withLock(key, async () => {
+    const next = await fn(await storage.get(key));
+    if (next !== undefined) await storage.set(key, next);
+    return next;
+  });
+  return storage;
+}
+
+export function createMemoryStorage() {
+  const map = new Map();
+  // clone on the way in and out so callers can't mutate stored values by reference
+  const clone = v => (v == null ? null : JSON.parse(JSON.stringify(v)));
+
+  return withUpdate({
+    async get(key) {
+      return map.has(key) ? clone(map.get(key)) : null;
+    },
+    async set(key, value) {
+      map.set(key, clone(value));
+    },
+    async delete(key) {
+      map.delete(key);
+    }
+  });
+}
+
+export function createFileStorage(dir) {
+  const fileFor = key => path.join(dir, `${encodeURIComponent(key)}.json`);
+
+  return withUpdate({
+    async get(key) {
+      try {
+        return JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async set(key, value) {
+      await writeFileAtomic(fileFor(key), JSON.stringify(value));
+    },
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    }
+  });
+}
+
+// Write to a temp file in the same directory, fsync, then rename over the target.
+// rename() is atomic on the same filesystem, so readers see the old or the new
+// document, never a half-written one (even if the process dies mid-write).
+export async function writeFileAtomic(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+
+  const handle = await fs.open(tmp, "w");
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tmp, file);
+  } catch (e) {
+    await fs.rm(tmp, { force: true });
+    throw e;
+  }
+}
+
+// Letters, digits, "_", "-" and "." (never only dots), up to 100 characters
+export function isSafeSegment(value) {
+  return typeof value === "string" && /^[\w.-]{1,100}$/.test(value) && !/^\.+$/.test(value);
+}
+
+export function createMemoryBlobStore() {
+  const map = new Map(); // "seg/seg/seg" -> { meta, data }
+  const keyOf = segments => segments.map(encodeURIComponent).join("/");
+  const under = (key, prefix) => !prefix || key === prefix || key.startsWith(`${prefix}/`);
+
+  return {
+    async put(segments, data, meta) {
+      map.set(keyOf(segments), { meta: { ...meta }, data: Buffer.from(data) });
+    },
+    async get(segments) {
+      const hit = map.get(keyOf(segments));
+      return hit ? { meta: { ...hit.meta }, data: Buffer.from(hit.data) } : null;
+    },
+    async list(prefix = []) {
+      const p = keyOf(prefix);
+      return [...map.entries()].filter(([k]) => under(k, p)).map(([, v]) => ({ ...v.meta }));
+    },
+    async delete(prefix = []) {
+      const p = keyOf(prefix);
+      for (const k of [...map.keys()]) if (under(k, p)) map.delete(k);
+    },
+    async remove(segments) {
+      map.delete(keyOf(segments));
+    },
+    async setMeta(segments, meta) {
+      const hit = map.get(keyOf(segments));
+      if (hit) hit.meta = { ...meta };
+    }
+  };
+}
+
+// Layout: <dir>/<seg>/<seg>/<last>.bin + <last>.json (metadata), each written atomically.
+export function createDiskBlobStore(dir) {
+  const pathOf = segments => {
+    const bad = segments.find(s => !isSafeSegment(s));
+    if (bad !== undefined) throw new Error(`Unsafe blob path segment: ${JSON.stringify(bad)}`);
+    return path.join(dir, ...segments);
+  };
+
+  async function walk(folder, out) {
+    let entries;
+    try {
+      entries = await fs.readdir(folder, { withFileTypes: true });
+    } catch (e) {
+      if (e.code === "ENOENT") return out;
+      throw e;
+    }
+    for (const e of entries) {
+      const full = path.join(folder, e.name);
+      if (e.isDirectory()) await walk(full, out);
+      else if (e.name.endsWith(".json")) out.push(JSON.parse(await fs.readFile(full, "utf8")));
+    }
+    return out;
+  }
+
+  return {
+    async put(segments, data, meta) {
+      const base = pathOf(segments);
+      // data first: metadata only ever points at a complete blob
+      await writeFileAtomic(`${base}.bin`, data);
+      await writeFileAtomic(`${base}.json`, JSON.stringify(meta));
+    },
+    async get(segments) {
+      const base = pathOf(segments);
+      try {
+        const meta = JSON.parse(await fs.readFile(`${base}.json`, "utf8"));
+        const data = await fs.readFile(`${base}.bin`);
+        return { meta, data };
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async list(prefix = []) {
+      const base = pathOf(prefix);
+      try {
+        // an exact entry, not a folder
+        return [JSON.parse(await fs.readFile(`${base}.json`, "utf8"))];
+      } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+      }
+      return walk(base, []);
+    },
+    async delete(prefix = []) {
+      const base = pathOf(prefix);
+      await fs.rm(`${base}.json`, { force: true });
+      await fs.rm(`${base}.bin`, { force: true });
+      await fs.rm(base, { recursive: true, force: true });
+    },
+    async remove(segments) {
+      const base = pathOf(segments);
+      await fs.rm(`${base}.json`, { force: true });
+      await fs.rm(`${base}.bin`, { force: true });
+    },
+    async setMeta(segments, meta) {
+      const base = pathOf(segments);
+      try {
+        await fs.access(`${base}.bin`);
+      } catch (e) {
+        if (e.code === "ENOENT") return;
+        throw e;
+      }
+      await writeFileAtomic(`${base}.json`, JSON.stringify(meta));
+    }
+  };
+}
+
+let shared = null;
+let sharedBlobs = null;
+
+export function getStorage() {
+  if (!shared) {
+    shared = process.env.HP_STORAGE === "memory"
+      ? createMemoryStorage()
+      : createFileStorage(process.env.HP_DATA_DIR || path.join(process.cwd(), ".data"));
+  }
+  return shared;
+}
+
+export function getBlobStore() {
+  if (!sharedBlobs) {
+    sharedBlobs = process.env.HP_STORAGE === "memory"
+      ? createMemoryBlobStore()
+      : createDiskBlobStore(path.join(process.env.HP_DATA_DIR || path.join(process.cwd(), ".data"), "files"));
+  }
+  return sharedBlobs;
+}
@@ -0,0 +1,73 @@
+// api/auth.js
+// Accounts for Cloud mode.
+// POST /api/auth?action=register  { email, password }  -> 201 { token, account }
+// POST /api/auth?action=login     { email, password }  -> 200 { token, account }
+// GET  /api/auth                  (Authorization: Bearer <token>) -> { account }
+//
+// Tokens are stateless (signed JWTs), so signing out just means the client forgets its token.
+
+import { getStorage } from "./_storage.js";
+import {
+  normalizeEmail,
+  validateCredentials,
+  signToken,
+  createAccount,
+  verifyLogin,
+  requireAccount
+} from "./_auth.js";
+
+export function createAuthHandler(storage) {
+  return async function handler(req, res) {
+    const { method } = req;
+
+    try {
+      if (method === "GET") {
+        const account = await requireAccount(storage, req, res);
+        if (!account) return;
+        return res.status(200).json({ account });
+      }
+
+      if (method !== "POST") return res.status(405).json({ error: "Method not allowed" });
+
+      let body;
+      try {
+        body = (typeof req.body === "string" ? JSON.parse(req.body) : req.body) || {};
+      } catch (e) {
+        return res.status(400).json({ error: "Invalid JSON" });
+      }
+
+      const email = normalizeEmail(body.email);
+      const { password } = body;
+      const action = req.query.action;
+
+      if (action === "register") {
+        const problem = validateCredentials(email, password);
+        if (problem) return res.status(400).json({ error: problem });
+
+        const account = await createAccount(storage, email, password);
+        if (!account) return res.status(409).json({ error: "An account with this email already exists" });
+
+        const publicAccount = { id: account.id, email: account.email };
+        return res.status(201).json({ token: await signToken(storage, publicAccount), account: publicAccount });
+      }
+
+      if (action === "login") {
+        const account = await verifyLogin(storage, email, password);
+        // same answer for unknown email and wrong password
+        if (!account) {
+          return res.status(401).json({ error: "Wrong email or password" });
+        }
+
+        const publicAccount = { id: account.id, email: account.email };
+        return res.status(200).json({ token: await signToken(storage, publicAccount), account: publicAccount });
+      }
+
+      return res.status(400).json({ error: "action must be register or login" });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "Server error" });
+    }
+  };
+}
+
+export default createAuthHandler(getStorage());
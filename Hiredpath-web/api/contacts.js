@@ -0,0 +1,107 @@
+// api/contacts.js
+// Per-profile contacts (recruiters, hiring managers, referrers) for Cloud mode.
+// Jobs link to contacts through their own `contactIds`; this endpoint only stores the people.
+// All requests need "Authorization: Bearer <token>"; contacts live under the token's account.
+// GET    /api/contacts?profile=xxx                     -> all contacts of the profile
+// PUT    /api/contacts?profile=xxx&id=yyy  { contact } -> create or update one contact
+// DELETE /api/contacts?profile=xxx&id=yyy              -> one contact
+// DELETE /api/contacts?profile=xxx                     -> every contact (profile deletion)
+//
+// Last write wins: contacts are small and rarely edited from two places at once.
+
+import { getStorage, isSafeSegment } from "./_storage.js";
+import { requireAccount } from "./_auth.js";
+
+const keyFor = (accountId, profile) => `contacts:${accountId}:${profile}`;
+
+const FIELDS = ["name", "company", "email", "phone", "linkedin", "notes"];
+const MAX_FIELD_LENGTH = 2000;
+
+// "default" when omitted; null when unusable
+function readProfile(value) {
+  const profile = value == null || value === "" ? "default" : String(value);
+  return isSafeSegment(profile) ? profile : null;
+}
+
+function parseBody(req) {
+  return typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+}
+
+// Keeps the known fields as trimmed strings; null when the contact is unusable
+function cleanContact(input, id) {
+  if (!input || typeof input !== "object") return null;
+  const contact = { id: String(id) };
+  for (const field of FIELDS) contact[field] = String(input[field] ?? "").trim().slice(0, MAX_FIELD_LENGTH);
+  if (!contact.name) return null;
+  contact.updatedAt = Number(input.updatedAt) || Date.now();
+  return contact;
+}
+
+export function createContactsHandler(storage) {
+  return async function handler(req, res) {
+    const { method } = req;
+
+    let account;
+    try {
+      account = await requireAccount(storage, req, res);
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "Storage error" });
+    }
+    if (!account) return;
+
+    let body = {};
+    if (method === "PUT") {
+      try {
+        body = parseBody(req) || {};
+      } catch (e) {
+        return res.status(400).json({ error: "Invalid JSON" });
+      }
+    }
+
+    const profile = readProfile(body.profile ?? req.query.profile);
+    if (!profile) return res.status(400).json({ error: "Invalid profile" });
+    const key = keyFor(account.id, profile);
+    const id = req.query.id ? String(req.query.id) : "";
+    if (id.length > 100) return res.status(400).json({ error: "Invalid id" });
+
+    try {
+      if (method === "GET") {
+        return res.status(200).json((await storage.get(key)) || []);
+      }
+
+      if (method === "PUT") {
+        if (!id) return res.status(400).json({ error: "Missing id" });
+        const contact = cleanContact(body.contact, id);
+        if (!contact) return res.status(400).json({ error: "contact.name is required" });
+
+        await storage.update(key, (current) => {
+          const contacts = current || [];
+          return contacts.some(c => c.id === id)
+            ? contacts.map(c => (c.id === id ? contact : c))
+            : [...contacts, contact];
+        });
+        return res.status(200).json(contact);
+      }
+
+      if (method === "DELETE") {
+        if (!id) {
+          await storage.delete(key);
+          return res.status(200).json({ ok: true });
+        }
+        await storage.update(key, (current) => {
+          if (!current?.some(c => c.id === id)) return undefined;
+          return current.filter(c => c.id !== id);
+        });
+        return res.status(200).json({ ok: true });
+      }
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "Storage error" });
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+  };
+}
+
+export default createContactsHandler(getStorage());
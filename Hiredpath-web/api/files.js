@@ -0,0 +1,270 @@
+// api/files.js
+// Cloud attachment storage, mirroring the idb.js contract (files keyed by profile/jobId/type,
+// every upload kept as its own version; one version per type is "current").
+// All requests need "Authorization: Bearer <token>"; files live under the token's account.
+// GET    /api/files?profile=xxx[&jobId=yyy]             -> metadata of the current files (profile or one application)
+//        ...&versions=1                                 -> metadata of every version instead
+// GET    /api/files?profile=xxx&jobId=yyy&type=resume[&versionId=v]   -> the current (or given) version itself
+// PUT    /api/files?profile=xxx&jobId=yyy&type=resume&filename=cv.pdf[&label=...]
+//        (raw body, Content-Type = file MIME)           -> new version, becomes current
+//        ...&docHash=h (no body)                        -> same, reusing a document from /api/library
+// PATCH  /api/files?profile=xxx&jobId=yyy&type=resume&versionId=v
+//        JSON { current: true } | { submitted: bool } | { label }   -> restore / mark as submitted / relabel
+// PATCH  /api/files?profile=xxx&jobId=yyy  JSON { moveTo: "zzz" } -> every version moves to application zzz
+//        (merging duplicates); zzz keeps its own current/submitted versions where it has them
+// DELETE /api/files?profile=xxx&jobId=yyy&type=resume[&versionId=v] -> the current (or given) version
+// DELETE /api/files?profile=xxx[&jobId=yyy]             -> one application or the whole profile, all versions
+//
+// Blobs go through api/_storage.js (disk under HP_DATA_DIR/files by default, in-memory with HP_STORAGE=memory).
+// Uploaded bytes land in the profile's document library (api/_library.js), deduplicated by SHA-256;
+// a version only records which document it uses.
+
+import crypto from "node:crypto";
+import { getStorage, getBlobStore, isSafeSegment } from "./_storage.js";
+import { requireAccount } from "./_auth.js";
+import {
+  MAX_FILE_BYTES,
+  PDF,
+  DOC,
+  DOCX,
+  mimeFor,
+  readBody,
+  isHash,
+  findDocument,
+  storeDocument,
+  readVersionData
+} from "./_library.js";
+
+const TYPES = ["resume", "cover", "portfolio"];
+
+// same accept lists as the Application Snapshot inputs in index.html
+const ALLOWED_MIME = {
+  resume: [PDF, DOC, DOCX],
+  cover: [PDF, DOC, DOCX],
+  portfolio: [PDF]
+};
+
+// we stream the raw upload ourselves (see readBody)
+export const config = { api: { bodyParser: false } };
+
+function newVersionId() {
+  return `v_${Date.now().toString(36)}_${crypto.randomBytes(3).toString("hex")}`;
+}
+function byUploadedAt(a, b) {
+  return (a.uploadedAt || 0) - (b.uploadedAt || 0);
+}
+
+// The flagged version, or the newest one if a crash left none (or several) flagged
+function currentOf(versions) {
+  const flagged = versions.filter(v => v.current);
+  const pool = flagged.length ? flagged : versions;
+  return pool.length ? [...pool].sort(byUploadedAt)[pool.length - 1] : null;
+}
+
+function currentPerSlot(metas) {
+  const slots = new Map();
+  for (const m of metas) {
+    const k = `${m.jobId}|${m.type}`;
+    slots.set(k, [...(slots.get(k) || []), m]);
+  }
+  return [...slots.values()].map(currentOf);
+}
+
+// Files uploaded before versioning sit directly at [..., jobId, type];
+// each one becomes the current version of its slot the first time it's listed.
+async function listVersions(blobs, prefix) {
+  const metas = await blobs.list(prefix);
+  const legacy = metas.filter(m => !m.versionId);
+  if (!legacy.length) return metas.sort(byUploadedAt);
+
+  for (const m of legacy) {
+    const slot = [...prefix.slice(0, 2), m.jobId, m.type];
+    const hit = await blobs.get(slot);
+    if (!hit) continue;
+    const versionId = `v_${(m.uploadedAt || 0).toString(36)}`;
+    await blobs.put([...slot, versionId], hit.data, { ...hit.meta, versionId, label: "", current: true, submitted: false });
+    await blobs.remove(slot);
+  }
+  return (await blobs.list(prefix)).sort(byUploadedAt);
+}
+
+// Re-homes every version of one application onto another (same keys otherwise)
+async function moveVersions(blobs, owner, fromJobId, toJobId) {
+  const moving = await listVersions(blobs, [...owner, fromJobId]);
+  const staying = await listVersions(blobs, [...owner, toJobId]);
+
+  for (const v of moving) {
+    const hit = await blobs.get([...owner, fromJobId, v.type, v.versionId]);
+    if (!hit) continue;
+    const slot = staying.filter(s => s.type === v.type);
+    const next = {
+      ...hit.meta,
+      jobId: toJobId,
+      current: !!v.current && !slot.some(s => s.current),
+      submitted: !!v.submitted && !slot.some(s => s.submitted)
+    };
+    await blobs.put([...owner, toJobId, v.type, v.versionId], hit.data, next);
+    await blobs.remove([...owner, fromJobId, v.type, v.versionId]);
+    staying.push(next);
+  }
+  return moving.length;
+}
+
+async function readJson(req) {
+  if (req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body)) return req.body;
+  const raw = await readBody(req, 10 * 1024);
+  if (!raw) return null;
+  try { return JSON.parse(raw.toString("utf8") || "{}"); } catch { return null; }
+}
+
+export function createFilesHandler(blobs, storage) {
+  return async function handler(req, res) {
+    const { method } = req;
+    const { jobId, type, versionId } = req.query;
+    const allVersions = req.query.versions === "1";
+    const profile = String(req.query.profile || "default");
+
+    let account;
+    try {
+      account = await requireAccount(storage, req, res);
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "Storage error" });
+    }
+    if (!account) return;
+    if (!isSafeSegment(profile)) return res.status(400).json({ error: "Invalid profile" });
+    const owner = [account.id, profile];
+
+    if (jobId && !isSafeSegment(jobId)) return res.status(400).json({ error: "Invalid jobId" });
+    if (type && !TYPES.includes(type)) return res.status(400).json({ error: `type must be one of ${TYPES.join(", ")}` });
+    if (type && !jobId) return res.status(400).json({ error: "Missing jobId" });
+
+    if (versionId && (!type || !isSafeSegment(versionId))) return res.status(400).json({ error: "Invalid versionId" });
+    const slot = [...owner, jobId, type];
+
+    try {
+      if (method === "GET") {
+        if (!type || allVersions) {
+          const metas = await listVersions(blobs, [...owner, jobId, type].filter(Boolean));
+          return res.status(200).json(allVersions ? metas : currentPerSlot(metas));
+        }
+
+        const versions = await listVersions(blobs, slot);
+        const meta = versionId ? versions.find(v => v.versionId === versionId) : currentOf(versions);
+        const data = meta && await readVersionData(blobs, owner, meta);
+        if (!data) return res.status(404).json({ error: "Not found" });
+
+        res.setHeader("Content-Type", meta.mime);
+        res.setHeader("Content-Length", String(data.length));
+        res.setHeader("Content-Disposition", `attachment; filename*=UTF-8''${encodeURIComponent(meta.filename)}`);
+        res.setHeader("X-Uploaded-At", String(meta.uploadedAt));
+        res.setHeader("X-Version-Id", meta.versionId);
+        return res.status(200).send(data);
+      }
+
+      if (method === "PUT" || method === "POST") {
+        if (!jobId || !type) return res.status(400).json({ error: "Missing jobId or type" });
+
+        // imports keep the original upload time; never in the future
+        const uploadedAt = Math.min(Number(req.query.uploadedAt) || Date.now(), Date.now());
+        let doc;
+        let filename;
+
+        if (req.query.docHash) {
+          if (!isHash(req.query.docHash)) return res.status(400).json({ error: "Invalid docHash" });
+          doc = await findDocument(blobs, owner, req.query.docHash);
+          if (!doc) return res.status(404).json({ error: "Document not found in the library" });
+          filename = String(req.query.filename || doc.filename).slice(0, 200);
+          if (!ALLOWED_MIME[type].includes(doc.mime)) {
+            return res.status(415).json({ error: `Unsupported file type for ${type}: ${doc.mime}` });
+          }
+        } else {
+          filename = String(req.query.filename || type).slice(0, 200);
+          const mime = mimeFor(req, filename);
+          if (!ALLOWED_MIME[type].includes(mime)) {
+            return res.status(415).json({ error: `Unsupported file type for ${type}: ${mime}` });
+          }
+
+          const declaredSize = Number(req.headers["content-length"]);
+          if (declaredSize > MAX_FILE_BYTES) return res.status(413).json({ error: "File too large" });
+
+          const data = await readBody(req, MAX_FILE_BYTES);
+          if (!data) return res.status(413).json({ error: "File too large" });
+          if (!data.length) return res.status(400).json({ error: "Empty file" });
+
+          ({ doc } = await storeDocument(blobs, owner, data, { filename, mime, uploadedAt }));
+        }
+
+        const previous = await listVersions(blobs, slot);
+        const meta = {
+          profile, jobId, type,
+          versionId: newVersionId(),
+          label: String(req.query.label || "").slice(0, 100),
+          current: true,
+          submitted: false,
+          docHash: doc.hash,
+          filename, mime: doc.mime, size: doc.size, uploadedAt
+        };
+        // the bytes live in the library; the version itself is metadata only
+        await blobs.put([...slot, meta.versionId], Buffer.alloc(0), meta);
+        for (const v of previous.filter(v => v.current)) {
+          await blobs.setMeta([...slot, v.versionId], { ...v, current: false });
+        }
+        return res.status(201).json(meta);
+      }
+
+      if (method === "PATCH") {
+        const patch = await readJson(req);
+        if (!patch) return res.status(400).json({ error: "Invalid JSON body" });
+
+        if (jobId && !type && patch.moveTo != null) {
+          const moveTo = String(patch.moveTo);
+          if (!isSafeSegment(moveTo) || moveTo === jobId) return res.status(400).json({ error: "Invalid moveTo" });
+          return res.status(200).json({ moved: await moveVersions(blobs, owner, jobId, moveTo) });
+        }
+        if (!versionId) return res.status(400).json({ error: "Missing jobId, type or versionId" });
+
+        const versions = await listVersions(blobs, slot);
+        const target = versions.find(v => v.versionId === versionId);
+        if (!target) return res.status(404).json({ error: "Not found" });
+
+        for (const v of versions) {
+          const next = { ...v };
+          if (patch.current === true) next.current = v === target;
+          // at most one version per slot is the submitted one
+          if (typeof patch.submitted === "boolean") next.submitted = patch.submitted && v === target;
+          if (typeof patch.label === "string" && v === target) next.label = patch.label.slice(0, 100);
+          if (JSON.stringify(next) !== JSON.stringify(v)) await blobs.setMeta([...slot, v.versionId], next);
+        }
+        return res.status(200).json((await listVersions(blobs, slot)).find(v => v.versionId === versionId));
+      }
+
+      if (method === "DELETE") {
+        if (!type) {
+          await blobs.delete([...owner, jobId].filter(Boolean));
+          return res.status(200).json({ ok: true });
+        }
+
+        const versions = await listVersions(blobs, slot);
+        const target = versionId ? versions.find(v => v.versionId === versionId) : currentOf(versions);
+        if (target) {
+          await blobs.remove([...slot, target.versionId]);
+          const rest = versions.filter(v => v !== target);
+          // the newest remaining version takes over
+          if (target === currentOf(versions) && rest.length) {
+            const next = rest[rest.length - 1];
+            await blobs.setMeta([...slot, next.versionId], { ...next, current: true });
+          }
+        }
+        return res.status(200).json({ ok: true });
+      }
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "Storage error" });
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+  };
+}
+
+export default createFilesHandler(getBlobStore(), getStorage());
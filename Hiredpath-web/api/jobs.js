@@ -1,34 +1,178 @@
 // api/jobs.js
 // Minimal cloud API for demo/testing.
-// GET  /api/jobs?userId=xxx
-// POST /api/jobs  { userId, items }
+// All requests need "Authorization: Bearer <token>" (see api/auth.js); the account comes from
+// the token, and `profile` (default "default") picks one of the account's local profiles.
+// GET    /api/jobs?profile=xxx                 -> all jobs of the profile
+// GET    /api/jobs?profile=xxx&id=yyy          -> one job (ETag: its revision)
+// POST   /api/jobs  { profile, items }         -> replace the whole list (imports)
+// POST   /api/jobs  { profile, item }          -> create one job
+// PUT    /api/jobs?profile=xxx&id=yyy  { item }   If-Match: "<rev>"  -> update one job
+// DELETE /api/jobs?profile=xxx&id=yyy          If-Match: "<rev>"  -> delete one job
+//
+// Every stored job carries a `rev` number that is bumped on each write. Updates and deletes
+// whose If-Match (or item.rev) doesn't match the stored rev are rejected with
+// 409 { error, current } so the client can resolve the conflict instead of overwriting.
+//
+// Storage comes from api/_storage.js (file-backed by default, in-memory with HP_STORAGE=memory).
 
-let STORE = {}; // in-memory
+import { getStorage, isSafeSegment } from "./_storage.js";
+import { requireAccount } from "./_auth.js";
 
-export default async function handler(req, res) {
-  const { method } = req;
+const keyFor = (accountId, profile) => `jobs:${accountId}:${profile}`;
 
-  if (method === "GET") {
-    const userId = req.query.userId;
-    if (!userId) return res.status(400).json({ error: "Missing userId" });
+// "default" when omitted; null when unusable
+function readProfile(value) {
+  const profile = value == null || value === "" ? "default" : String(value);
+  return isSafeSegment(profile) ? profile : null;
+}
+
+function parseBody(req) {
+  return typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+}
 
-    const items = STORE[userId] || [];
-    return res.status(200).json(items);
+// If-Match: "3" / W/"3" / 3  ->  3   (falls back to the rev in the payload)
+function expectedRev(req, item) {
+  const header = req.headers?.["if-match"];
+  if (header != null && header !== "") {
+    const n = Number(String(header).replace(/^W\//, "").replace(/"/g, ""));
+    return Number.isFinite(n) ? n : null;
   }
+  return Number.isFinite(item?.rev) ? item.rev : null;
+}
 
-  if (method === "POST") {
+function sendItem(res, status, item) {
+  res.setHeader("ETag", `"${item.rev}"`);
+  return res.status(status).json(item);
+}
+
+export function createJobsHandler(storage) {
+  return async function handler(req, res) {
+    const { method } = req;
+
+    let account;
     try {
-      const body = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
-      const { userId, items } = body || {};
-      if (!userId) return res.status(400).json({ error: "Missing userId" });
-      if (!Array.isArray(items)) return res.status(400).json({ error: "items must be an array" });
+      account = await requireAccount(storage, req, res);
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "Storage error" });
+    }
+    if (!account) return;
 
-      STORE[userId] = items;
-      return res.status(200).json({ ok: true });
+    if (method === "GET") {
+      const { id } = req.query;
+      const profile = readProfile(req.query.profile);
+      if (!profile) return res.status(400).json({ error: "Invalid profile" });
+
+      try {
+        const items = (await storage.get(keyFor(account.id, profile))) || [];
+        if (!id) return res.status(200).json(items);
+
+        const item = items.find(x => x.id === id);
+        return item ? sendItem(res, 200, item) : res.status(404).json({ error: "Not found" });
+      } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Storage error" });
+      }
+    }
+
+    if (!["POST", "PUT", "DELETE"].includes(method)) {
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    let body;
+    try {
+      body = parseBody(req) || {};
     } catch (e) {
       return res.status(400).json({ error: "Invalid JSON" });
     }
-  }
 
-  return res.status(405).json({ error: "Method not allowed" });
+    const profile = readProfile(body.profile ?? req.query.profile);
+    if (!profile) return res.status(400).json({ error: "Invalid profile" });
+    const key = keyFor(account.id, profile);
+
+    try {
+      if (method === "POST" && body.item == null) {
+        const { items } = body;
+        if (!Array.isArray(items)) return res.status(400).json({ error: "items must be an array" });
+        if (!items.every(it => it && typeof it === "object" && !Array.isArray(it) && typeof it.id === "string" && it.id)) {
+          return res.status(400).json({ error: "every item needs a string id" });
+        }
+
+        await storage.update(key, (current) => {
+          const revs = new Map((current || []).map(x => [x.id, x.rev || 0]));
+          return items.map(it => ({ ...it, rev: (revs.get(it.id) || 0) + 1 }));
+        });
+        return res.status(200).json({ ok: true });
+      }
+
+      if (method === "POST") {
+        const { item } = body;
+        if (!item?.id) return res.status(400).json({ error: "item.id is required" });
+
+        let outcome;
+        await storage.update(key, (current) => {
+          const items = current || [];
+          const existing = items.find(x => x.id === item.id);
+          if (existing) {
+            outcome = { status: 409, current: existing };
+            return undefined;
+          }
+          const created = { ...item, rev: 1 };
+          outcome = { status: 201, item: created };
+          return [...items, created];
+        });
+
+        if (outcome.status === 409) return res.status(409).json({ error: "Already exists", current: outcome.current });
+        return sendItem(res, 201, outcome.item);
+      }
+
+      if (method === "PUT" || method === "DELETE") {
+        const id = req.query.id || body.item?.id;
+        if (!id) return res.status(400).json({ error: "Missing id" });
+        if (method === "PUT" && (!body.item || body.item.id !== id)) {
+          return res.status(400).json({ error: "item.id must match id" });
+        }
+
+        const expected = expectedRev(req, body.item);
+        if (expected == null) return res.status(428).json({ error: "If-Match revision required" });
+
+        let outcome;
+        await storage.update(key, (current) => {
+          const items = current || [];
+          const idx = items.findIndex(x => x.id === id);
+          const existing = idx >= 0 ? items[idx] : null;
+
+          if (!existing && method === "DELETE") {
+            outcome = { status: 200 }; // already gone
+            return undefined;
+          }
+          if (!existing || (existing.rev || 0) !== expected) {
+            outcome = { status: 409, current: existing };
+            return undefined;
+          }
+
+          if (method === "DELETE") {
+            outcome = { status: 200 };
+            return items.filter(x => x.id !== id);
+          }
+
+          const updated = { ...body.item, rev: (existing.rev || 0) + 1 };
+          outcome = { status: 200, item: updated };
+          const next = [...items];
+          next[idx] = updated;
+          return next;
+        });
+
+        if (outcome.status === 409) {
+          return res.status(409).json({ error: "Revision conflict", current: outcome.current });
+        }
+        return outcome.item ? sendItem(res, 200, outcome.item) : res.status(200).json({ ok: true });
+      }
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "Storage error" });
+    }
+  };
 }
+
+export default createJobsHandler(getStorage());
@@ -0,0 +1,108 @@
+// api/library.js
+// Per-profile document library for Cloud mode: each distinct file is stored once (by SHA-256)
+// and attached to any number of applications through /api/files?...&docHash=h.
+// All requests need "Authorization: Bearer <token>"; documents live under the token's account.
+// GET    /api/library?profile=xxx                   -> metadata of every document
+// GET    /api/library?profile=xxx&hash=h            -> the document itself
+// PUT    /api/library?profile=xxx&filename=cv.pdf   (raw body) -> 201 new document, 200 if the content is already there
+// DELETE /api/library?profile=xxx&hash=h            -> one document (409 while an application version uses it)
+// DELETE /api/library?profile=xxx                   -> the whole library (profile deletion)
+
+import { getStorage, getBlobStore, isSafeSegment } from "./_storage.js";
+import { requireAccount } from "./_auth.js";
+import {
+  MAX_FILE_BYTES,
+  PDF,
+  DOC,
+  DOCX,
+  mimeFor,
+  readBody,
+  isHash,
+  libraryPrefix,
+  findDocument,
+  storeDocument,
+  adoptVersion
+} from "./_library.js";
+
+const ALLOWED_MIME = [PDF, DOC, DOCX];
+
+// we stream the raw upload ourselves (see readBody)
+export const config = { api: { bodyParser: false } };
+
+export function createLibraryHandler(blobs, storage) {
+  return async function handler(req, res) {
+    const { method } = req;
+    const { hash } = req.query;
+    const profile = String(req.query.profile || "default");
+
+    let account;
+    try {
+      account = await requireAccount(storage, req, res);
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "Storage error" });
+    }
+    if (!account) return;
+    if (!isSafeSegment(profile)) return res.status(400).json({ error: "Invalid profile" });
+    if (hash && !isHash(hash)) return res.status(400).json({ error: "Invalid hash" });
+    const owner = [account.id, profile];
+
+    try {
+      if (method === "GET") {
+        if (hash) {
+          const hit = await blobs.get([...libraryPrefix(owner), hash]);
+          if (!hit) return res.status(404).json({ error: "Not found" });
+
+          res.setHeader("Content-Type", hit.meta.mime);
+          res.setHeader("Content-Length", String(hit.data.length));
+          res.setHeader("Content-Disposition", `attachment; filename*=UTF-8''${encodeURIComponent(hit.meta.filename)}`);
+          return res.status(200).send(hit.data);
+        }
+
+        // files uploaded before the library existed join it the first time it's listed
+        for (const meta of await blobs.list(owner)) {
+          if (meta.versionId && !meta.docHash) await adoptVersion(blobs, owner, meta);
+        }
+        return res.status(200).json(await blobs.list(libraryPrefix(owner)));
+      }
+
+      if (method === "PUT" || method === "POST") {
+        const filename = String(req.query.filename || "document").slice(0, 200);
+        const mime = mimeFor(req, filename);
+        if (!ALLOWED_MIME.includes(mime)) return res.status(415).json({ error: `Unsupported file type: ${mime}` });
+
+        const declaredSize = Number(req.headers["content-length"]);
+        if (declaredSize > MAX_FILE_BYTES) return res.status(413).json({ error: "File too large" });
+
+        const data = await readBody(req, MAX_FILE_BYTES);
+        if (!data) return res.status(413).json({ error: "File too large" });
+        if (!data.length) return res.status(400).json({ error: "Empty file" });
+
+        const { doc, created } = await storeDocument(blobs, owner, data, { filename, mime });
+        return res.status(created ? 201 : 200).json(doc);
+      }
+
+      if (method === "DELETE") {
+        if (!hash) {
+          await blobs.delete(libraryPrefix(owner));
+          return res.status(200).json({ ok: true });
+        }
+
+        if (!await findDocument(blobs, owner, hash)) return res.status(404).json({ error: "Not found" });
+        const users = (await blobs.list(owner)).filter(m => m.docHash === hash);
+        if (users.length) {
+          return res.status(409).json({ error: `Still used by ${users.length} attachment version(s)` });
+        }
+        await blobs.remove([...libraryPrefix(owner), hash]);
+        return res.status(200).json({ ok: true });
+      }
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "Storage error" });
+    }
+
+    return res.status(405).json({ error: "Method not allowed" });
+  };
+}
+
+export default createLibraryHandler(getBlobStore(), getStorage());
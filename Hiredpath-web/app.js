@@ -4,33 +4,121 @@
 // Features:
 // - Local multi-profile support (multiple users on same device, no backend)
 // - Two storage modes:
-//     • Local mode: jobs in localStorage, files in IndexedDB (device-only)
-//     • Cloud mode: jobs synced via /api/jobs (serverless placeholder)
-// - Application Snapshot per job (Local mode):
-//     • Resume / Cover / Portfolio attachments
+//     • Local mode: jobs and files in IndexedDB (device-only; older localStorage data is imported once)
+//     • Cloud mode: jobs synced via /api/jobs (stored by api/_storage.js: JSON files or in-memory)
+//       one record per edit, with revision checks so stale tabs/devices can't silently overwrite
+//       offline-first: a local mirror + replay queue keeps cloud mode usable without a connection
+//       requires an account: the session token is sent with every /api request
+// - Application Snapshot per job:
+//     • Resume / Cover / Portfolio attachments (IndexedDB in Local mode, /api/files in Cloud mode)
 //     • Upload, download, replace, remove
+//     • Every upload kept as a version (optional label); restore earlier ones, mark the one submitted
+// - Document Library per profile:
+//     • Each distinct file stored once (SHA-256), attached to many applications by reference
+//     • Shows which applications used each document and how many moved past the start status
+// - Status pipeline:
+//     • Per profile: add, rename (records follow), reorder and archive statuses, each tagged
+//       active, success or closed; the filter, edit modal, board, funnel and rates follow it
+// - Custom fields:
+//     • Per profile: text, number, date, choice or currency range (salary, location, remote, source…)
+//     • In the edit modal, as sortable table columns, searchable (salary:>100000, remote:hybrid, has:salary),
+//       and as extra columns in the CSV exports
+// - Status history:
+//     • Every status change is stored as a timestamped event (with optional note)
+//     • Shown as a timeline in the edit modal, included in CSV + ZIP exports
+// - Follow-ups:
+//     • Structured follow-up date + next action per application
+//     • "Due / Overdue" filter and optional browser notification reminders
+// - Interview rounds:
+//     • Per application: type, date/time, interviewers, prep notes, outcome; next upcoming round in the table
+//     • Calendar (.ics) export of upcoming rounds and follow-ups
+// - Job links:
+//     • Pasting a Greenhouse, Lever, Ashby, Workday, LinkedIn, SmartRecruiters or Workable link
+//       fills company, role and the posting id (read from the URL, nothing is fetched)
+//     • Warns when the link is already tracked in another application
+// - Duplicates:
+//     • Same company + role (ignoring case, punctuation, "Inc."…), job link or posting id
+//     • Checked on save and CSV import; "Find duplicates" merges a group into one application
+//       (notes combined, earliest submit date, most advanced status, attachments moved over)
+// - Contacts:
+//     • People per profile (name, company, email, phone, LinkedIn, notes), linked to any number of applications
+//     • Picked or created from the edit modal; in the ZIP export (job.json + contacts.csv)
+// - Search:
+//     • Query syntax in the search box (status:, company:"…", notes:, after:, has:resume, -negation)
+//     • Named saved views per profile
 // - Table UX:
+//     • Click a column header to sort; 50 rows per page; search re-renders once typing pauses
 //     • “Files” dropdown per row to download attachments without opening Edit
+// - Analytics:
+//     • Funnel with conversion rates, applications per week, median time to first response,
+//       the rate of each closed outcome for the applications matching the current filters
+//     • SVG charts drawn in the page; CSV export, and part of Export PDF while shown
+// - Trash:
+//     • Deleted applications and profiles can be restored; "Undo" right after deleting
+//     • Emptied automatically after a retention period (1–90 days, or never)
+// - Bulk actions:
+//     • Row checkboxes, "select all" over every application matching the search + filters
+//     • Change status (with a note), add a note, delete (to the Trash, one undo), export the
+//       selection as CSV or ZIP, move it (files + linked contacts) to another profile
+// - Board view:
+//     • One column per status; drag a card to another column to change its status
 // - Profiles:
 //     • Create local profiles
-//     • Delete local profiles (also removes their stored jobs + local files)
+//     • Delete local profiles (to the Trash; purging removes their stored jobs + local files)
+//     • Optional passphrase per profile (Local mode): applications, contacts and files are
+//       encrypted at rest (PBKDF2 + AES-GCM via WebCrypto); lock screen, passphrase change
 // - Export:
 //     • CSV export
 //     • PDF export via browser print
-//     • ZIP export (Local mode): folders per application + job.json + attachments
+//     • ZIP export: folders per application + job.json + attachments (submitted version or all versions)
+// - Import:
+//     • ZIP import of an exported profile, merged into or replacing the current profile
+//     • CSV import with column mapping, preview and row validation
 //
 // Notes:
-// - Local mode keeps all data on the user’s device.
-// - Cloud mode needs you to implement /api/jobs endpoints (and cloud file storage later).
+// - Local mode keeps all data on the user’s device (encrypted for profiles with a passphrase).
+// - Cloud mode needs the /api/jobs, /api/files, /api/library and /api/contacts endpoints deployed.
 
 import {
   putFile,
   getFile,
   listFilesForJob,
+  listFilesForUser,
+  listFileVersions,
+  setCurrentFileVersion,
+  markSubmittedVersion,
   deleteFile,
   deleteFilesForJob,
-  deleteFilesForUser
+  deleteFilesForUser,
+  moveFilesToJob,
+  putDocument,
+  getDocument,
+  listDocuments,
+  deleteDocument,
+  deleteDocumentsForUser,
+  putFileRecords,
+  rehashDocument,
+  loadContacts,
+  putContact,
+  deleteContact,
+  deleteContactsForUser,
+  loadJobs,
+  saveJobs,
+  putJob,
+  deleteJob,
+  deleteJobsForUser
 } from "./idb.js";
+import {
+  createVault,
+  unlockVault,
+  rewrapVault,
+  sealText,
+  openText,
+  sealBlob,
+  openBlob,
+  isSealed,
+  keyedHash
+} from "./vault.js";
 
 /** ---------- small helpers ---------- */
 function $(id) {
@@ -47,11 +135,30 @@ function uid() {
   return crypto.randomUUID ? crypto.randomUUID() : String(Date.now()) + Math.random();
 }
 function fmtDate(iso) { return iso || ""; }
-function matches(item, q, status) {
-  const text = `${item.company || ""} ${item.role || ""}`.toLowerCase();
-  const okQ = !q || text.includes(q.toLowerCase());
+function localIsoDate(d = new Date()) {
+  const pad = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+// "overdue" | "today" | "upcoming" | "" (no follow-up date)
+function dueState(item, today = localIsoDate()) {
+  const d = item.nextActionDate;
+  if (!d) return "";
+  if (d < today) return "overdue";
+  if (d === today) return "today";
+  return "upcoming";
+}
+function matchesDue(item, due) {
+  const st = dueState(item);
+  if (due === "due") return st === "overdue" || st === "today";
+  if (due === "overdue") return st === "overdue";
+  if (due === "scheduled") return !!st;
+  return true;
+}
+// `query` comes from parseQuery(); `files` are the item's current attachments (only needed for has:)
+function matches(item, query, status, due, files = []) {
+  const okQ = query.terms.every(term => termMatches(term, item, files) !== term.negate);
   const okS = !status || item.status === status;
-  return okQ && okS;
+  return okQ && okS && matchesDue(item, due);
 }
 function normalizeUrl(input) {
   if (!input) return "";
@@ -70,20 +177,69 @@ function safeFolderName(name) {
 }
 
 /** ---------- constants ---------- */
-const APP_KEY_PREFIX = "hp_apps_v1";
 const USERS_KEY = "hp_users_v1";
+const REMINDERS_KEY = "hp_reminders_v1";
+const VIEW_KEY = "hp_view_v1";
+const CLOUD_CACHE_PREFIX = "hp_cloud_cache_v1";
+const CLOUD_QUEUE_PREFIX = "hp_cloud_queue_v1";
+const SESSION_KEY = "hp_session_v1";
+const SAVED_VIEWS_PREFIX = "hp_saved_views_v1_";
+const SORT_KEY = "hp_sort_v1";
+const ANALYTICS_KEY = "hp_analytics_v1";
+const NOT_DUPLICATES_PREFIX = "hp_not_duplicates_v1_";
+const TRASH_DAYS_KEY = "hp_trash_days_v1";
+const PIPELINE_PREFIX = "hp_pipeline_v1_";
+const FIELDS_PREFIX = "hp_fields_v1_";
+const CLOUD_PURGE_KEY = "hp_cloud_purge_v1";
 
 /** ---------- DOM ---------- */
 const rowsEl = $("rows");
+const tableHeadEl = $("tableHead");
+const selectAllEl = $("selectAll");
+const bulkBar = $("bulkBar");
+const bulkCount = $("bulkCount");
+const bulkStatusSelect = $("bulkStatus");
+const bulkNoteBtn = $("bulkNoteBtn");
+const bulkCsvBtn = $("bulkCsvBtn");
+const bulkZipBtn = $("bulkZipBtn");
+const bulkMoveSelect = $("bulkMove");
+const bulkDeleteBtn = $("bulkDeleteBtn");
+const bulkClearBtn = $("bulkClearBtn");
+const pagerEl = $("pager");
+const pageInfoEl = $("pageInfo");
+const prevPageBtn = $("prevPageBtn");
+const nextPageBtn = $("nextPageBtn");
+const boardEl = $("board");
+const tableView = $("tableView");
+const viewToggleBtn = $("viewToggleBtn");
+const analyticsBtn = $("analyticsBtn");
+const analyticsPanel = $("analytics");
+const analyticsBody = $("analyticsBody");
+const analyticsCsvBtn = $("analyticsCsvBtn");
 const modal = $("modal");
 
 const qEl = $("q");
+const qErrorEl = $("qError");
+const savedViewSelect = $("savedViewSelect");
+const saveViewBtn = $("saveViewBtn");
+const deleteViewBtn = $("deleteViewBtn");
 const statusFilterEl = $("statusFilter");
+const dueFilterEl = $("dueFilter");
+const remindersBtn = $("remindersBtn");
 
 const addBtn = $("addBtn");
 const exportCsvBtn = $("exportCsvBtn");
+const importCsvBtn = $("importCsvBtn");
+const importCsvFile = $("importCsvFile");
 const exportPdfBtn = $("exportPdfBtn");
+const exportIcsBtn = $("exportIcsBtn");
 const exportZipBtn = $("exportZipBtn");
+const importZipBtn = $("importZipBtn");
+const importZipFile = $("importZipFile");
+const libraryBtn = $("libraryBtn");
+const duplicatesBtn = $("duplicatesBtn");
+const pipelineBtn = $("pipelineBtn");
+const fieldsBtn = $("fieldsBtn");
 
 const form = $("form");
 const modalTitle = $("modalTitle");
@@ -91,16 +247,61 @@ const modalTitle = $("modalTitle");
 const companyEl = $("company");
 const roleEl = $("role");
 const statusEl = $("status");
+const statusNoteEl = $("statusNote");
 const dateSubmittedEl = $("dateSubmitted");
+const nextActionDateEl = $("nextActionDate");
+const nextActionEl = $("nextAction");
 const jobLinkEl = $("jobLink");
+const jobLinkInfo = $("jobLinkInfo");
+const externalIdEl = $("externalId");
 const notesEl = $("notes");
+const customFieldsEl = $("customFields");
+const historyList = $("historyList");
+const jobContactsEl = $("jobContacts");
+const contactPick = $("contactPick");
+const contactLinkBtn = $("contactLinkBtn");
+const contactNewBtn = $("contactNewBtn");
+const roundListEl = $("roundList");
+const addRoundBtn = $("addRoundBtn");
 
 const cancelBtn = $("cancelBtn");
 
 const profileSelect = $("profileSelect");
 const newProfileBtn = $("newProfileBtn");
 const deleteProfileBtn = $("deleteProfileBtn");
+const trashBtn = $("trashBtn");
 const modeSelect = $("modeSelect");
+const syncStatusBtn = $("syncStatus");
+const accountBtn = $("accountBtn");
+const passphraseBtn = $("passphraseBtn");
+const lockBtn = $("lockBtn");
+
+// Lock screen + passphrase dialog (Local mode)
+const lockScreen = $("lockScreen");
+const lockForm = $("lockForm");
+const lockProfileName = $("lockProfileName");
+const lockPassphraseEl = $("lockPassphrase");
+const lockErrorEl = $("lockError");
+const passphraseModal = $("passphraseModal");
+const passphraseForm = $("passphraseForm");
+const passphraseTitle = $("passphraseTitle");
+const currentPassphraseRow = $("currentPassphraseRow");
+const currentPassphraseEl = $("currentPassphrase");
+const newPassphraseEl = $("newPassphrase");
+const repeatPassphraseEl = $("repeatPassphrase");
+const passphraseErrorEl = $("passphraseError");
+const removePassphraseBtn = $("removePassphraseBtn");
+const passphraseCancelBtn = $("passphraseCancelBtn");
+const passphraseSaveBtn = $("passphraseSaveBtn");
+
+// Sign-in dialog (Cloud mode)
+const authModal = $("authModal");
+const authForm = $("authForm");
+const authEmailEl = $("authEmail");
+const authPasswordEl = $("authPassword");
+const authErrorEl = $("authError");
+const authRegisterBtn = $("authRegisterBtn");
+const authCancelBtn = $("authCancelBtn");
 
 // file UI (inside modal)
 const resumeFile = $("resumeFile");
@@ -119,40 +320,459 @@ const resumeRemove = $("resumeRemove");
 const coverRemove = $("coverRemove");
 const portfolioRemove = $("portfolioRemove");
 
+const filesPanel = $("filesPanel");
+const versionLabel = $("versionLabel");
+const libraryDoc = $("libraryDoc");
+const libraryType = $("libraryType");
+const libraryAttachBtn = $("libraryAttachBtn");
+
+// Document Library dialog
+const libraryModal = $("libraryModal");
+const libraryFile = $("libraryFile");
+const libraryList = $("libraryList");
+
+// Trash dialog + undo toast
+const trashModal = $("trashModal");
+const trashList = $("trashList");
+const trashDaysSelect = $("trashDays");
+const emptyTrashBtn = $("emptyTrashBtn");
+const toastEl = $("toast");
+const toastText = $("toastText");
+const toastUndoBtn = $("toastUndoBtn");
+
+// Status pipeline dialog
+const pipelineModal = $("pipelineModal");
+const pipelineList = $("pipelineList");
+const addStatusBtn = $("addStatusBtn");
+
+// Custom fields dialog
+const fieldDefsModal = $("fieldDefsModal");
+const fieldDefsForm = $("fieldDefsForm");
+const fieldDefList = $("fieldDefList");
+const fieldNameEl = $("fieldName");
+const fieldTypeEl = $("fieldType");
+const fieldExtraRow = $("fieldExtraRow");
+const fieldExtraLabel = $("fieldExtraLabel");
+const fieldExtraEl = $("fieldExtra");
+const addFieldBtn = $("addFieldBtn");
+
+// Find duplicates dialog
+const dupesModal = $("dupesModal");
+const dupesForm = $("dupesForm");
+const duplicateList = $("duplicateList");
+
+// Contact dialog (opened from the edit modal)
+const contactModal = $("contactModal");
+const contactForm = $("contactForm");
+const contactTitle = $("contactTitle");
+const contactNameEl = $("contactName");
+const contactCompanyEl = $("contactCompany");
+const contactEmailEl = $("contactEmail");
+const contactPhoneEl = $("contactPhone");
+const contactLinkedinEl = $("contactLinkedin");
+const contactNotesEl = $("contactNotes");
+const contactDeleteBtn = $("contactDeleteBtn");
+const contactCancelBtn = $("contactCancelBtn");
+
+// Interview round dialog (opened from the edit modal)
+const roundModal = $("roundModal");
+const roundForm = $("roundForm");
+const roundTitle = $("roundTitle");
+const roundTypeEl = $("roundType");
+const roundAtEl = $("roundAt");
+const roundInterviewersEl = $("roundInterviewers");
+const roundPrepEl = $("roundPrep");
+const roundOutcomeEl = $("roundOutcome");
+const roundCancelBtn = $("roundCancelBtn");
+
+// ZIP import dialog
+const zipImportModal = $("zipImportModal");
+const zipImportForm = $("zipImportForm");
+const zipImportSummary = $("zipImportSummary");
+const zipImportCancelBtn = $("zipImportCancelBtn");
+
+// CSV import dialog
+const csvImportModal = $("csvImportModal");
+const csvImportForm = $("csvImportForm");
+const csvImportSummary = $("csvImportSummary");
+const csvMapping = $("csvMapping");
+const csvPreviewHead = $("csvPreviewHead");
+const csvPreviewRows = $("csvPreviewRows");
+const csvIssues = $("csvIssues");
+const csvSkipDuplicates = $("csvSkipDuplicates");
+const csvImportBtn = $("csvImportBtn");
+const csvImportCancelBtn = $("csvImportCancelBtn");
+
 /** ---------- state ---------- */
 let editingId = null;
+let editingRev; // server revision of the record when the modal opened (Cloud mode)
 
 /** ---------- Store adapters (jobs) ---------- */
-function storageKeyForUser(userId) {
-  return `${APP_KEY_PREFIX}_${userId}`;
-}
-
+// Profiles with a passphrase store each record sealed (see "Passphrase lock")
 const localStore = {
-  load(userId) {
-    try {
-      return JSON.parse(localStorage.getItem(storageKeyForUser(userId)) || "[]");
-    } catch {
-      return [];
-    }
+  async load(userId) {
+    const key = vaultKey(userId);
+    return Promise.all((await loadJobs({ userId })).map(it => openRecord(key, it)));
   },
-  save(userId, items) {
-    localStorage.setItem(storageKeyForUser(userId), JSON.stringify(items));
+  async save(userId, items) {
+    const key = vaultKey(userId);
+    return saveJobs({ userId, items: await Promise.all(items.map(it => sealRecord(key, it))) });
+  },
+  async put(userId, item) {
+    await putJob({ userId, item: await sealRecord(vaultKey(userId), item) });
+    return item;
+  },
+  remove(userId, id) {
+    return deleteJob({ userId, id });
   }
 };
 
+// Thrown by cloudStore when the server has a newer revision than the one we edited.
+// `current` is the server's record (null if it was deleted there).
+class ConflictError extends Error {
+  constructor(current) {
+    super("This application was changed somewhere else.");
+    this.name = "ConflictError";
+    this.current = current ?? null;
+  }
+}
+
+// Records stored before revisions existed have no `rev`; the server counts them as 0, so we do
+// too (otherwise an edit would be POSTed as a new record and bounce off "Already exists")
+function withRev(item) {
+  return Number.isFinite(item.rev) ? item : { ...item, rev: 0 };
+}
+
+async function cloudJobsError(res, action) {
+  if (res.status === 409) {
+    let current = null;
+    try { current = (await res.json()).current; } catch {}
+    return new ConflictError(current && withRev(current));
+  }
+  return new Error(`Cloud ${action} failed: ${res.status}`);
+}
+
+/** ---------- Session (Cloud mode accounts) ---------- */
+// { token, account: { id, email } } from /api/auth, kept until sign-out or expiry
+function loadSession() {
+  try {
+    const s = JSON.parse(localStorage.getItem(SESSION_KEY) || "null");
+    return s?.token && s?.account?.id ? s : null;
+  } catch {
+    return null;
+  }
+}
+function saveSession(session) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+}
+
+class AuthError extends Error {
+  constructor() {
+    super("Sign in to use Cloud mode.");
+    this.name = "AuthError";
+  }
+}
+
+// fetch() itself failed: no connection, DNS, CORS... (anything else is a real error)
+class NetworkError extends Error {
+  constructor(cause) {
+    super("Can’t reach the server. Check your connection.");
+    this.name = "NetworkError";
+    this.cause = cause;
+  }
+}
+
+// fetch() for /api/*: sends the session token; a 401 ends the session
+async function apiFetch(url, opts = {}) {
+  const session = loadSession();
+  if (!session) throw new AuthError();
+
+  let res;
+  try {
+    res = await fetch(url, {
+      ...opts,
+      headers: { ...(opts.headers || {}), Authorization: `Bearer ${session.token}` }
+    });
+  } catch (err) {
+    throw new NetworkError(err);
+  }
+  if (res.status === 401) {
+    clearSession();
+    updateAccountBtn();
+    throw new AuthError();
+  }
+  return res;
+}
+
+// Profiles are sent as `profile`; the account itself comes from the token
 const cloudStore = {
   async load(userId) {
-    const res = await fetch(`/api/jobs?userId=${encodeURIComponent(userId)}`);
+    const res = await apiFetch(`/api/jobs?profile=${encodeURIComponent(userId)}`);
     if (!res.ok) throw new Error(`Cloud load failed: ${res.status}`);
-    return res.json();
+    return (await res.json()).map(withRev);
   },
   async save(userId, items) {
-    const res = await fetch("/api/jobs", {
+    const res = await apiFetch("/api/jobs", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ userId, items })
+      body: JSON.stringify({ profile: userId, items })
     });
     if (!res.ok) throw new Error(`Cloud save failed: ${res.status}`);
+  },
+  // create (no rev yet) or update one record; resolves with the stored record (new rev)
+  async put(userId, item) {
+    const isNew = !Number.isFinite(item.rev);
+    const url = isNew
+      ? "/api/jobs"
+      : `/api/jobs?profile=${encodeURIComponent(userId)}&id=${encodeURIComponent(item.id)}`;
+    const res = await apiFetch(url, {
+      method: isNew ? "POST" : "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        ...(isNew ? {} : { "If-Match": `"${item.rev}"` })
+      },
+      body: JSON.stringify({ profile: userId, item })
+    });
+    if (!res.ok) throw await cloudJobsError(res, "save");
+    return res.json();
+  },
+  async remove(userId, id, rev) {
+    const res = await apiFetch(`/api/jobs?profile=${encodeURIComponent(userId)}&id=${encodeURIComponent(id)}`, {
+      method: "DELETE",
+      headers: { "If-Match": `"${rev ?? 0}"` }
+    });
+    if (!res.ok) throw await cloudJobsError(res, "delete");
+  }
+};
+
+/** ---------- Offline cache + replay queue (Cloud mode) ---------- */
+// Cloud mode reads and writes a local mirror first. Writes are queued per profile and
+// replayed against /api/jobs in order whenever the server is reachable, so the table keeps
+// working on a flaky connection. Queue ops: { seq, op: "put", id, item } | { seq, op: "remove", id, rev }
+// | { seq, op: "replace", items }.
+function readJson(key, fallback) {
+  try {
+    const v = JSON.parse(localStorage.getItem(key));
+    return v ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// Mirrors are per account + profile, so two accounts on one device never see each other's copy
+function cloudKey(prefix, userId) {
+  return `${prefix}_${loadSession()?.account.id || "signed-out"}_${userId}`;
+}
+
+const cloudCache = {
+  load(userId) {
+    return readJson(cloudKey(CLOUD_CACHE_PREFIX, userId), null); // null = never synced
+  },
+  save(userId, items) {
+    localStorage.setItem(cloudKey(CLOUD_CACHE_PREFIX, userId), JSON.stringify(items));
+  },
+  upsert(userId, item) {
+    const items = cloudCache.load(userId) || [];
+    const idx = items.findIndex(x => x.id === item.id);
+    if (idx >= 0) items[idx] = item;
+    else items.push(item);
+    cloudCache.save(userId, items);
+  },
+  remove(userId, id) {
+    cloudCache.save(userId, (cloudCache.load(userId) || []).filter(x => x.id !== id));
+  },
+  queue(userId) {
+    return readJson(cloudKey(CLOUD_QUEUE_PREFIX, userId), []);
+  },
+  saveQueue(userId, ops) {
+    if (ops.length) localStorage.setItem(cloudKey(CLOUD_QUEUE_PREFIX, userId), JSON.stringify(ops));
+    else localStorage.removeItem(cloudKey(CLOUD_QUEUE_PREFIX, userId));
+  },
+  clear(userId) {
+    localStorage.removeItem(cloudKey(CLOUD_CACHE_PREFIX, userId));
+    localStorage.removeItem(cloudKey(CLOUD_QUEUE_PREFIX, userId));
+  }
+};
+
+let syncState = "synced"; // synced | pending | offline | error | signedOut
+let syncError = null; // what the server said when the queue last stopped on an error
+let opSeq = Date.now();
+const flushing = new Map(); // userId -> { promise, seq of the op in flight }
+
+function isNetworkError(err) {
+  return err instanceof NetworkError || navigator.onLine === false;
+}
+
+function syncStateFor(err) {
+  if (err instanceof AuthError) return "signedOut";
+  return isNetworkError(err) ? "offline" : "error";
+}
+
+function setSyncState(state) {
+  syncState = state;
+  updateSyncStatus();
+}
+
+function updateSyncStatus() {
+  const cloud = currentMode() === "cloud";
+  syncStatusBtn.hidden = !cloud;
+  if (!cloud) return;
+
+  const pending = cloudCache.queue(currentUserId()).length;
+  const label = {
+    synced: pending ? `Syncing ${pending}…` : "Synced",
+    pending: `${pending} pending`,
+    offline: pending ? `Offline · ${pending} pending` : "Offline",
+    error: pending ? `Sync error · ${pending} pending` : "Sync error",
+    signedOut: pending ? `Signed out · ${pending} pending` : "Signed out"
+  }[syncState];
+
+  syncStatusBtn.textContent = `● ${label}`;
+  syncStatusBtn.title = syncState === "error" && syncError ? `${syncError.message} (click to retry)` : "Cloud sync status (click to retry)";
+  syncStatusBtn.dataset.state = pending && syncState === "synced" ? "pending" : syncState;
+}
+
+// Coalesces with a queued op for the same record (unless that one is already in flight)
+function enqueue(userId, op) {
+  let ops = cloudCache.queue(userId);
+  const next = { ...op, seq: ++opSeq };
+  const inFlight = flushing.get(userId)?.seq;
+
+  if (op.op === "replace") {
+    ops = ops.filter(o => o.seq === inFlight);
+    ops.push(next);
+  } else {
+    const i = ops.findIndex(o => o.id === op.id && o.seq !== inFlight && o.op !== "replace");
+    if (i < 0) ops.push(next);
+    else if (op.op === "remove" && ops[i].op === "put" && !Number.isFinite(ops[i].item.rev)) ops.splice(i, 1); // created + deleted offline
+    else ops[i] = next;
+  }
+
+  cloudCache.saveQueue(userId, ops);
+  setSyncState("pending");
+}
+
+// After an op is stored, drop it and move later ops for the same records onto the new revisions
+function completeOp(userId, seq, revs) {
+  const ops = cloudCache.queue(userId)
+    .filter(o => o.seq !== seq)
+    .map(o => {
+      if (!revs.has(o.id)) return o;
+      const rev = revs.get(o.id);
+      return o.op === "put" ? { ...o, item: { ...o.item, rev } } : { ...o, rev };
+    });
+  cloudCache.saveQueue(userId, ops);
+}
+
+async function replayOp(userId, op) {
+  const revs = new Map();
+
+  if (op.op === "replace") {
+    await cloudStore.save(userId, op.items);
+    const fresh = await cloudStore.load(userId);
+    fresh.forEach(x => revs.set(x.id, x.rev));
+    const mirror = (cloudCache.load(userId) || []).map(x => revs.has(x.id) ? { ...x, rev: revs.get(x.id) } : x);
+    cloudCache.save(userId, mirror);
+    return revs;
+  }
+
+  if (op.op === "put") {
+    let saved;
+    try {
+      saved = await cloudStore.put(userId, op.item);
+    } catch (err) {
+      if (!(err instanceof ConflictError)) throw err;
+      if (!confirmKeepMine(op.item, err.current)) {
+        if (err.current) cloudCache.upsert(userId, err.current);
+        else cloudCache.remove(userId, op.id);
+        return revs;
+      }
+      saved = await cloudStore.put(userId, rebaseOnto(op.item, err.current));
+    }
+    cloudCache.upsert(userId, saved);
+    revs.set(saved.id, saved.rev);
+    return revs;
+  }
+
+  // remove
+  try {
+    await cloudStore.remove(userId, op.id, op.rev);
+  } catch (err) {
+    if (!(err instanceof ConflictError)) throw err;
+    if (!err.current) return revs; // already gone
+    if (!confirmDeleteAnyway(err.current)) {
+      cloudCache.upsert(userId, err.current);
+      return revs;
+    }
+    await cloudStore.remove(userId, op.id, err.current.rev);
+  }
+  return revs;
+}
+
+// Replays the queue in order; resolves true once it is empty. Concurrent calls share one run.
+function flushQueue(userId) {
+  const running = flushing.get(userId);
+  if (running) return running.promise;
+
+  const state = { seq: null, promise: null };
+  state.promise = (async () => {
+    let op;
+    while ((op = cloudCache.queue(userId)[0])) {
+      state.seq = op.seq;
+      try {
+        const revs = await replayOp(userId, op);
+        completeOp(userId, op.seq, revs);
+      } catch (err) {
+        if (syncStateFor(err) === "error") console.error(err);
+        syncError = err;
+        setSyncState(syncStateFor(err));
+        return false;
+      }
+    }
+    syncError = null;
+    setSyncState("synced");
+    return true;
+  })().finally(() => flushing.delete(userId));
+
+  flushing.set(userId, state);
+  return state.promise;
+}
+
+const syncedCloudStore = {
+  async load(userId) {
+    const cached = cloudCache.load(userId);
+    // unsent edits: the mirror is the truth until they're replayed
+    if (!(await flushQueue(userId))) return cached || [];
+
+    try {
+      const items = await cloudStore.load(userId);
+      cloudCache.save(userId, items);
+      setSyncState("synced");
+      return items;
+    } catch (err) {
+      setSyncState(syncStateFor(err));
+      if (cached === null) throw err;
+      return cached;
+    }
+  },
+  async save(userId, items) {
+    cloudCache.save(userId, items);
+    enqueue(userId, { op: "replace", items });
+    await flushQueue(userId);
+  },
+  async put(userId, item) {
+    cloudCache.upsert(userId, item);
+    enqueue(userId, { op: "put", id: item.id, item });
+    await flushQueue(userId);
+    return (cloudCache.load(userId) || []).find(x => x.id === item.id) || item;
+  },
+  async remove(userId, id, rev) {
+    cloudCache.remove(userId, id);
+    enqueue(userId, { op: "remove", id, rev });
+    await flushQueue(userId);
   }
 };
 
@@ -163,19 +783,384 @@ function currentMode() {
   return modeSelect.value || "local";
 }
 function getStore() {
-  return currentMode() === "cloud" ? cloudStore : localStore;
+  return currentMode() === "cloud" ? syncedCloudStore : localStore;
+}
+// What cached listings (contacts, files) were loaded for
+function dataScopeNow() {
+  return `${currentMode()}|${loadSession()?.account.id || ""}|${currentUserId()}`;
 }
 
-async function loadItems() {
+/** ---------- File store adapters (attachments) ---------- */
+// Same contract in both modes. Records carry userId/jobId/type/filename/mime/uploadedAt plus
+// versionId/label/current/submitted: every upload is kept as a version, one per type is current.
+// `blob` is always present from get(), but list()/listVersions() in Cloud mode return metadata only.
+// get()/remove() act on the current version unless a versionId is given.
+const localFiles = {
+  async put({ userId, file, label = "", ...rest }) {
+    const key = vaultKey(userId);
+    const sealed = key ? {
+      blob: file && await sealBlob(key, file),
+      filename: file && await sealText(key, file.name),
+      label: label && await sealText(key, label),
+      hash: file && await keyedHash(key, file)
+    } : undefined;
+    return openFileRecord(key, await putFile({ ...rest, userId, file, label, sealed }));
+  },
+  async get(slot) {
+    return openFileRecord(vaultKey(slot.userId), await getFile(slot));
+  },
+  async list(args) {
+    return openFileRecords(args.userId, await listFilesForJob(args));
+  },
+  async listForUser(args) {
+    return openFileRecords(args.userId, await listFilesForUser(args));
+  },
+  async listVersions(args) {
+    return openFileRecords(args.userId, await listFileVersions(args));
+  },
+  setCurrent: setCurrentFileVersion,
+  markSubmitted: markSubmittedVersion,
+  remove: deleteFile,
+  removeForJob: deleteFilesForJob,
+  removeForUser: deleteFilesForUser,
+  moveToJob: moveFilesToJob
+};
+
+function apiUrl(path, params) {
+  const qs = Object.entries(params)
+    .filter(([, v]) => v != null && v !== "")
+    .map(([k, v]) => `${k}=${encodeURIComponent(v)}`)
+    .join("&");
+  return `${path}?${qs}`;
+}
+function filesUrl(params) {
+  return apiUrl("/api/files", params);
+}
+
+async function cloudFilesError(res, action) {
+  let detail = "";
+  try { detail = (await res.json()).error || ""; } catch {}
+  return new Error(`Cloud file ${action} failed: ${res.status}${detail ? ` (${detail})` : ""}`);
+}
+
+const cloudFiles = {
+  // `file` uploads new bytes; `docHash` attaches a document already in the library
+  async put({ userId, jobId, type, file, docHash, label, uploadedAt }) {
+    const url = filesUrl({ profile: userId, jobId, type, filename: file?.name, docHash, label, uploadedAt });
+    const res = await apiFetch(url, file
+      ? { method: "PUT", headers: { "Content-Type": file.type || "application/octet-stream" }, body: file }
+      : { method: "PUT" });
+    if (!res.ok) throw await cloudFilesError(res, "upload");
+    return { ...(await res.json()), userId };
+  },
+  async get({ userId, jobId, type, versionId }) {
+    const res = await apiFetch(filesUrl({ profile: userId, jobId, type, versionId }));
+    if (res.status === 404) return null;
+    if (!res.ok) throw await cloudFilesError(res, "download");
+
+    const disposition = res.headers.get("Content-Disposition") || "";
+    const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i)?.[1];
+    return {
+      userId,
+      jobId,
+      type,
+      versionId: res.headers.get("X-Version-Id") || versionId,
+      filename: encoded ? decodeURIComponent(encoded) : type,
+      mime: res.headers.get("Content-Type") || "application/octet-stream",
+      uploadedAt: Number(res.headers.get("X-Uploaded-At")) || Date.now(),
+      blob: await res.blob()
+    };
+  },
+  async list({ userId, jobId }) {
+    const res = await apiFetch(filesUrl({ profile: userId, jobId }));
+    if (!res.ok) throw await cloudFilesError(res, "list");
+    return (await res.json()).map(meta => ({ ...meta, userId }));
+  },
+  async listForUser({ userId }) {
+    return cloudFiles.list({ userId });
+  },
+  async listVersions({ userId, jobId, type }) {
+    const res = await apiFetch(filesUrl({ profile: userId, jobId, type, versions: 1 }));
+    if (!res.ok) throw await cloudFilesError(res, "list");
+    return (await res.json()).map(meta => ({ ...meta, userId }));
+  },
+  async patchVersion({ userId, jobId, type, versionId }, patch) {
+    const res = await apiFetch(filesUrl({ profile: userId, jobId, type, versionId }), {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(patch)
+    });
+    if (!res.ok) throw await cloudFilesError(res, "update");
+    return true;
+  },
+  async setCurrent(slot) {
+    return cloudFiles.patchVersion(slot, { current: true });
+  },
+  async markSubmitted({ submitted = true, ...slot }) {
+    return cloudFiles.patchVersion(slot, { submitted });
+  },
+  async remove({ userId, jobId, type, versionId }) {
+    const res = await apiFetch(filesUrl({ profile: userId, jobId, type, versionId }), { method: "DELETE" });
+    if (!res.ok) throw await cloudFilesError(res, "delete");
+    return true;
+  },
+  async removeForJob({ userId, jobId }) {
+    return cloudFiles.remove({ userId, jobId });
+  },
+  async removeForUser({ userId }) {
+    return cloudFiles.remove({ userId });
+  },
+  // every version of one application moves to another (merging duplicates); resolves to the count
+  async moveToJob({ userId, fromJobId, toJobId }) {
+    const res = await apiFetch(filesUrl({ profile: userId, jobId: fromJobId }), {
+      method: "PATCH",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ moveTo: toJobId })
+    });
+    if (!res.ok) throw await cloudFilesError(res, "move");
+    return (await res.json()).moved;
+  }
+};
+
+// render() runs on every keystroke: the profile's listing is fetched again only once the profile,
+// mode or account changed, or after a write through getFileStore() (uploads, deletes, moves...)
+let filesListing = null; // { scope, files }
+let fileWrites = 0; // a listing that was in flight during a write is not kept
+const FILE_WRITES = ["put", "setCurrent", "markSubmitted", "remove", "removeForJob", "removeForUser", "moveToJob"];
+
+function droppingListing(store) {
+  const wrapped = { ...store };
+  for (const name of FILE_WRITES) {
+    wrapped[name] = async (...args) => {
+      try {
+        return await store[name](...args);
+      } finally {
+        filesListing = null;
+        fileWrites++;
+      }
+    };
+  }
+  return wrapped;
+}
+const trackedLocalFiles = droppingListing(localFiles);
+const trackedCloudFiles = droppingListing(cloudFiles);
+
+function getFileStore() {
+  return currentMode() === "cloud" ? trackedCloudFiles : trackedLocalFiles;
+}
+
+async function cachedFilesForUser() {
+  const scope = dataScopeNow();
+  if (filesListing?.scope === scope) return filesListing.files;
+  const writes = fileWrites;
+  const files = await getFileStore().listForUser({ userId: currentUserId() });
+  if (writes === fileWrites) filesListing = { scope, files };
+  return files;
+}
+
+// list() results may be metadata only; fetch the blob when it's needed (downloads, ZIP)
+async function withBlob(rec) {
+  if (!rec || rec.blob) return rec;
+  const full = await getFileStore().get({ userId: rec.userId, jobId: rec.jobId, type: rec.type, versionId: rec.versionId });
+  return full ? { ...rec, blob: full.blob } : null;
+}
+
+/** ---------- Document library adapters ---------- */
+// One copy of each distinct file per profile (by SHA-256). Attachment versions point at a
+// document through `docHash`; uploads through the file stores land here automatically.
+// Documents carry hash/filename/mime/size/uploadedAt; get() adds the blob.
+// remove() resolves to false (and keeps the document) while an attachment still uses it.
+const localLibrary = {
+  async put({ userId, file }) {
+    const key = vaultKey(userId);
+    const sealed = key
+      ? { blob: await sealBlob(key, file), filename: await sealText(key, file.name), hash: await keyedHash(key, file) }
+      : undefined;
+    return openFileRecord(key, await putDocument({ userId, file, sealed }));
+  },
+  async get(args) {
+    return openFileRecord(vaultKey(args.userId), await getDocument(args));
+  },
+  // metadata only, like Cloud mode: no need to decrypt every document to list them
+  async list(args) {
+    const key = vaultKey(args.userId);
+    return Promise.all((await listDocuments(args)).map(({ blob, ...doc }) => openFileRecord(key, doc)));
+  },
+  remove: deleteDocument,
+  removeForUser: deleteDocumentsForUser
+};
+
+function libraryUrl(params) {
+  return apiUrl("/api/library", params);
+}
+
+const cloudLibrary = {
+  async put({ userId, file }) {
+    const res = await apiFetch(libraryUrl({ profile: userId, filename: file.name }), {
+      method: "PUT",
+      headers: { "Content-Type": file.type || "application/octet-stream" },
+      body: file
+    });
+    if (!res.ok) throw await cloudFilesError(res, "upload");
+    return { ...(await res.json()), userId };
+  },
+  async get({ userId, hash }) {
+    const res = await apiFetch(libraryUrl({ profile: userId, hash }));
+    if (res.status === 404) return null;
+    if (!res.ok) throw await cloudFilesError(res, "download");
+
+    const disposition = res.headers.get("Content-Disposition") || "";
+    const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i)?.[1];
+    return {
+      userId,
+      hash,
+      filename: encoded ? decodeURIComponent(encoded) : "document",
+      mime: res.headers.get("Content-Type") || "application/octet-stream",
+      blob: await res.blob()
+    };
+  },
+  async list({ userId }) {
+    const res = await apiFetch(libraryUrl({ profile: userId }));
+    if (!res.ok) throw await cloudFilesError(res, "list");
+    return (await res.json()).map(doc => ({ ...doc, userId }));
+  },
+  async remove({ userId, hash }) {
+    const res = await apiFetch(libraryUrl({ profile: userId, hash }), { method: "DELETE" });
+    if (res.status === 409) return false;
+    if (!res.ok) throw await cloudFilesError(res, "delete");
+    return true;
+  },
+  async removeForUser({ userId }) {
+    const res = await apiFetch(libraryUrl({ profile: userId }), { method: "DELETE" });
+    if (!res.ok) throw await cloudFilesError(res, "delete");
+    return true;
+  }
+};
+
+function getLibrary() {
+  return currentMode() === "cloud" ? cloudLibrary : localLibrary;
+}
+
+/** ---------- Contact store adapters ---------- */
+// People behind the applications: { id, name, company, email, phone, linkedin, notes, updatedAt }.
+// Jobs link to them through `contactIds`, so one recruiter can sit on several applications.
+const localContacts = {
+  async list({ userId }) {
+    const key = vaultKey(userId);
+    return Promise.all((await loadContacts({ userId })).map(c => openRecord(key, c)));
+  },
+  async put({ userId, contact }) {
+    await putContact({ userId, contact: await sealRecord(vaultKey(userId), contact) });
+    return contact;
+  },
+  remove: deleteContact,
+  removeForUser: deleteContactsForUser
+};
+
+function contactsUrl(params) {
+  return apiUrl("/api/contacts", params);
+}
+
+async function cloudContactsError(res, action) {
+  let detail = "";
+  try { detail = (await res.json()).error || ""; } catch {}
+  return new Error(`Cloud contact ${action} failed: ${res.status}${detail ? ` (${detail})` : ""}`);
+}
+
+const cloudContacts = {
+  async list({ userId }) {
+    const res = await apiFetch(contactsUrl({ profile: userId }));
+    if (!res.ok) throw await cloudContactsError(res, "list");
+    return res.json();
+  },
+  async put({ userId, contact }) {
+    const res = await apiFetch(contactsUrl({ profile: userId, id: contact.id }), {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ contact })
+    });
+    if (!res.ok) throw await cloudContactsError(res, "save");
+    return res.json();
+  },
+  async remove({ userId, id }) {
+    const res = await apiFetch(contactsUrl({ profile: userId, id }), { method: "DELETE" });
+    if (!res.ok) throw await cloudContactsError(res, "delete");
+    return true;
+  },
+  async removeForUser({ userId }) {
+    const res = await apiFetch(contactsUrl({ profile: userId }), { method: "DELETE" });
+    if (!res.ok) throw await cloudContactsError(res, "delete");
+    return true;
+  }
+};
+
+function getContactStore() {
+  return currentMode() === "cloud" ? cloudContacts : localContacts;
+}
+
+// Everything the store holds, applications in the trash (`deletedAt`) included
+async function loadAllItems() {
   const store = getStore();
   const userId = currentUserId();
   const items = await Promise.resolve(store.load(userId));
   return Array.isArray(items) ? items : [];
 }
-async function saveItems(items) {
+async function loadItems() {
+  return (await loadAllItems()).filter(it => !it.deletedAt);
+}
+// Replaces the live applications; the trash is kept unless `emptyTrash` (records in `items` win)
+async function saveItems(items, { emptyTrash = false } = {}) {
   const store = getStore();
   const userId = currentUserId();
-  await Promise.resolve(store.save(userId, items));
+  const trashed = emptyTrash
+    ? []
+    : (await loadAllItems()).filter(it => it.deletedAt && !items.some(x => x.id === it.id));
+  await Promise.resolve(store.save(userId, [...items, ...trashed]));
+}
+
+// Keeps both sides' events when two edits of the same record are combined
+function mergeHistory(a = [], b = []) {
+  const seen = new Set();
+  return [...a, ...b]
+    .filter(e => {
+      const k = `${e.at}|${e.status}|${e.note || ""}`;
+      if (seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    })
+    .sort((x, y) => (x.at || "").localeCompare(y.at || ""));
+}
+
+function describeItem(it) {
+  return `"${it.company || "Company"} — ${it.role || "Role"}"`;
+}
+
+// Revision conflicts (Cloud mode) are resolved while the queue replays: either our edit is
+// retried on top of the server's revision, or the other version wins.
+function confirmKeepMine(item, theirs) {
+  return confirm(theirs
+    ? `${describeItem(item)} was changed in another tab or on another device.\n\nOK: save your version (status history from both is kept)\nCancel: discard your edits and keep the other version`
+    : `${describeItem(item)} was deleted in another tab or on another device.\n\nOK: save your version again\nCancel: discard your edits`);
+}
+
+function confirmDeleteAnyway(theirs) {
+  return confirm(`${describeItem(theirs)} was changed in another tab or on another device.\n\nDelete it anyway?`);
+}
+
+function rebaseOnto(item, theirs) {
+  return theirs
+    ? { ...item, rev: theirs.rev, history: mergeHistory(theirs.history, item.history) }
+    : { ...item, rev: undefined };
+}
+
+// Single-record save / delete through the current store
+async function putItem(item) {
+  return Promise.resolve(getStore().put(currentUserId(), item));
+}
+
+async function removeItem(item) {
+  await Promise.resolve(getStore().remove(currentUserId(), item.id, item.rev));
+  return true;
 }
 
 /** ---------- Profiles ---------- */
@@ -191,8 +1176,9 @@ function loadUsers() {
 function saveUsers(users) {
   localStorage.setItem(USERS_KEY, JSON.stringify(users));
 }
+// Profiles in the trash aren't offered
 function populateProfileSelect() {
-  const users = loadUsers();
+  const users = loadUsers().filter(u => !u.deletedAt);
   profileSelect.innerHTML = users
     .map(u => `<option value="${escapeHtml(u.id)}">${escapeHtml(u.name)}</option>`)
     .join("");
@@ -221,384 +1207,4117 @@ async function deleteCurrentProfile() {
     return;
   }
 
-  const users = loadUsers();
-  const u = users.find(x => x.id === userId);
-  const ok = confirm(`Delete profile "${u?.name || userId}"?\n\nThis removes local jobs + local files for this profile.`);
+  const u = loadUsers().find(x => x.id === userId);
+  const ok = confirm(`Delete profile "${u?.name || userId}"?\n\nIt moves to the Trash with its jobs + local files, and can be restored from there ${trashKeptText()}. Its Cloud copy is only deleted along with it from the trash.`);
   if (!ok) return;
 
-  // remove jobs
-  localStorage.removeItem(storageKeyForUser(userId));
-
-  // remove files from IndexedDB (best effort)
-  try {
-    await deleteFilesForUser({ userId });
-  } catch (e) {
-    console.warn("Could not delete IndexedDB files for user:", e);
-  }
-
-  // remove from user list
-  const nextUsers = users.filter(x => x.id !== userId);
-  saveUsers(nextUsers);
-
+  saveUsers(loadUsers().map(x => (x.id === userId ? { ...x, deletedAt: new Date().toISOString() } : x)));
+  vaultKeys.delete(userId);
   populateProfileSelect();
-  profileSelect.value = nextUsers[0]?.id || "default";
   await render();
+  showUndo(`Moved profile "${u?.name || userId}" to the trash.`, () => restoreProfile(userId, { open: true }));
 }
 
-/** ---------- Modal controls ---------- */
-function closeModal() {
-  try { modal.close(); } catch {}
-  editingId = null;
+// `open`: switch back to it (undo right after deleting)
+async function restoreProfile(userId, { open = false } = {}) {
+  saveUsers(loadUsers().map(u => {
+    if (u.id !== userId) return u;
+    const { deletedAt, ...rest } = u;
+    return rest;
+  }));
+  populateProfileSelect();
+  if (open) profileSelect.value = userId;
+  await render();
 }
 
-cancelBtn.addEventListener("click", closeModal);
-modal.addEventListener("click", (e) => { if (e.target === modal) closeModal(); });
-
-jobLinkEl.addEventListener("focus", () => {
-  if (!jobLinkEl.value) jobLinkEl.value = "https://";
-});
-jobLinkEl.addEventListener("blur", () => {
-  if (jobLinkEl.value.trim() === "https://") jobLinkEl.value = "";
-});
+// The profile's data on the server: jobs (replaced by none), files, library and contacts
+async function purgeCloudProfile(userId) {
+  await cloudStore.save(userId, []);
+  await cloudFiles.removeForUser({ userId });
+  await cloudLibrary.removeForUser({ userId });
+  await cloudContacts.removeForUser({ userId });
+}
 
-/** ---------- Files (IndexedDB) ---------- */
-function setFileInfo(el, record) {
-  if (!record) {
-    el.textContent = "None uploaded";
-    return;
+// Profiles purged while the server couldn't be reached: { account, userId }, deleted there later
+function loadCloudPurges() {
+  try {
+    const list = JSON.parse(localStorage.getItem(CLOUD_PURGE_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
   }
-  const d = new Date(record.uploadedAt);
-  el.textContent = `${record.filename} • ${d.toLocaleDateString()}`;
+}
+function saveCloudPurges(list) {
+  if (list.length) localStorage.setItem(CLOUD_PURGE_KEY, JSON.stringify(list));
+  else localStorage.removeItem(CLOUD_PURGE_KEY);
+}
+
+async function retryCloudPurges() {
+  const account = loadSession()?.account.id;
+  if (!account) return;
+  const done = new Set();
+  for (const { account: a, userId } of loadCloudPurges()) {
+    if (a !== account) continue;
+    try {
+      await purgeCloudProfile(userId);
+      done.add(userId);
+    } catch (err) {
+      console.warn(`Could not delete the Cloud copy of profile ${userId}:`, err);
+    }
+  }
+  saveCloudPurges(loadCloudPurges().filter(p => p.account !== account || !done.has(p.userId)));
+}
+
+// Gone for good: jobs, files, library, contacts and settings of the profile (best effort locally).
+// While signed in its Cloud copy goes first; if the server rejects that nothing is removed and it
+// stays in the trash. Offline, the Cloud copy is deleted once the server can be reached again.
+async function purgeProfile(userId) {
+  const session = loadSession();
+  if (session) {
+    try {
+      await purgeCloudProfile(userId);
+    } catch (e) {
+      if (!isNetworkError(e)) {
+        throw new Error(`its Cloud copy could not be deleted (${e.message}), so the profile stays in the trash`);
+      }
+      saveCloudPurges([...loadCloudPurges(), { account: session.account.id, userId }]);
+    }
+  }
+
+  // remove jobs (and the Cloud mode offline copy)
+  try {
+    await deleteJobsForUser({ userId });
+  } catch (e) {
+    console.warn("Could not delete IndexedDB jobs for user:", e);
+  }
+  cloudCache.clear(userId);
+  localStorage.removeItem(SAVED_VIEWS_PREFIX + userId);
+  localStorage.removeItem(NOT_DUPLICATES_PREFIX + userId);
+  localStorage.removeItem(PIPELINE_PREFIX + userId);
+  localStorage.removeItem(FIELDS_PREFIX + userId);
+
+  // remove files and library documents from IndexedDB (best effort)
+  try {
+    await deleteFilesForUser({ userId });
+    await deleteDocumentsForUser({ userId });
+    await deleteContactsForUser({ userId });
+  } catch (e) {
+    console.warn("Could not delete IndexedDB files for user:", e);
+  }
+
+  // remove from user list (with its passphrase)
+  vaultKeys.delete(userId);
+  saveUsers(loadUsers().filter(x => x.id !== userId));
+}
+
+/** ---------- Passphrase lock (Local mode) ---------- */
+// Opt-in per profile. The vault meta (salt + wrapped data key, see vault.js) is kept on the
+// profile entry; the data key only in memory while the profile is unlocked. Job records and
+// contacts are stored as { id, sealed }, file names and labels are sealed in place and file
+// bytes are encrypted. Documents are fingerprinted with a keyed hash (vault.js keyedHash) so
+// identical uploads are still stored once. Settings (saved views, statuses, custom fields) stay plain.
+const MIN_PASSPHRASE = 8;
+const vaultKeys = new Map(); // userId -> data key while unlocked
+
+class LockedError extends Error {
+  constructor() {
+    super("This profile is locked. Unlock it with its passphrase first.");
+    this.name = "LockedError";
+  }
+}
+
+function vaultMeta(userId) {
+  return loadUsers().find(u => u.id === userId)?.vault || null;
+}
+function setVaultMeta(userId, vault) {
+  saveUsers(loadUsers().map(u => {
+    if (u.id !== userId) return u;
+    const { vault: _, ...rest } = u;
+    return vault ? { ...rest, vault } : rest;
+  }));
+}
+function isLocked(userId = currentUserId()) {
+  return currentMode() === "local" && !!vaultMeta(userId) && !vaultKeys.has(userId);
+}
+
+// Key to seal/open the profile's records with: null without a passphrase, throws while locked
+function vaultKey(userId) {
+  if (!vaultMeta(userId)) return null;
+  const key = vaultKeys.get(userId);
+  if (!key) throw new LockedError();
+  return key;
+}
+
+async function sealRecord(key, record) {
+  return key ? { id: record.id, sealed: await sealText(key, JSON.stringify(record)) } : record;
+}
+async function openRecord(key, record) {
+  return record?.sealed ? JSON.parse(await openText(key, record.sealed)) : record;
+}
+
+// File versions and library documents keep their shape: only names, labels and bytes change
+const SEALED_FILE_FIELDS = ["filename", "label"];
+
+async function sealFileRecord(key, rec) {
+  if (!key || !rec) return rec;
+  const out = { ...rec };
+  for (const field of SEALED_FILE_FIELDS) {
+    if (rec[field] && !isSealed(rec[field])) out[field] = await sealText(key, rec[field]);
+  }
+  if (rec.blob) out.blob = await sealBlob(key, rec.blob);
+  return out;
+}
+async function openFileRecord(key, rec) {
+  if (!rec) return rec;
+  const out = { ...rec };
+  for (const field of SEALED_FILE_FIELDS) {
+    if (isSealed(rec[field])) out[field] = await openText(key, rec[field]);
+  }
+  if (rec.blob) out.blob = await openBlob(key, rec.blob, rec.mime);
+  return out;
+}
+function openFileRecords(userId, recs) {
+  const key = vaultKey(userId);
+  return Promise.all(recs.map(rec => openFileRecord(key, rec)));
+}
+
+// Rewrites every local record of the profile from one key to the other (null = unencrypted).
+// A profile only ever has one data key, so whatever is already sealed is opened with that one:
+// running it again after an interruption picks up where it stopped.
+async function resealProfile(userId, fromKey, toKey) {
+  const dataKey = fromKey || toKey;
+  const reseal = async (rec, open, seal) => seal(toKey, await open(dataKey, rec));
+
+  const items = await loadJobs({ userId });
+  await saveJobs({ userId, items: await Promise.all(items.map(it => reseal(it, openRecord, sealRecord))) });
+  for (const contact of await loadContacts({ userId })) {
+    await putContact({ userId, contact: await reseal(contact, openRecord, sealRecord) });
+  }
+
+  // listDocuments() first: it moves files saved before the library into it
+  const docs = await listDocuments({ userId });
+  const versions = await listFileVersions({ userId });
+  await putFileRecords({ versions: await Promise.all(versions.map(v => reseal(v, openFileRecord, sealFileRecord))) });
+  // documents move to the keyed hash (or back to a plain SHA-256), taking their versions along
+  for (const doc of docs) {
+    const plain = await openFileRecord(dataKey, doc);
+    await rehashDocument({
+      userId,
+      doc: await sealFileRecord(toKey, plain),
+      file: plain.blob,
+      hash: toKey ? await keyedHash(toKey, plain.blob) : undefined
+    });
+  }
+}
+
+// Shows the lock screen instead of the profile's data; true while the profile is locked
+function updateLockUi() {
+  const userId = currentUserId();
+  const local = currentMode() === "local";
+  const locked = isLocked(userId);
+  document.body.classList.toggle("locked", locked);
+  lockScreen.hidden = !locked;
+  passphraseBtn.hidden = !local || locked;
+  lockBtn.hidden = !local || locked || !vaultMeta(userId);
+  if (locked) lockProfileName.textContent = loadUsers().find(u => u.id === userId)?.name || userId;
+  return locked;
+}
+
+async function unlockProfile() {
+  const userId = currentUserId();
+  const meta = vaultMeta(userId);
+  if (!meta) return render();
+
+  lockErrorEl.textContent = "";
+  const key = await unlockVault(meta, lockPassphraseEl.value);
+  if (!key) {
+    lockErrorEl.textContent = "Wrong passphrase.";
+    lockPassphraseEl.select();
+    return;
+  }
+  vaultKeys.set(userId, key);
+  lockForm.reset();
+  try {
+    await finishEncrypting(userId, key);
+  } catch (err) {
+    console.error(err);
+    alert(`Could not finish encrypting this profile: ${err.message}\n\nIt is tried again the next time you unlock it.`);
+  }
+  await render();
+  notifyDueFollowUps();
+}
+
+// The vault meta says `encrypting` until the first reseal completes; an interrupted one
+// (tab closed, failed write) is resumed here on unlock or the next passphrase save
+async function finishEncrypting(userId, key) {
+  if (!vaultMeta(userId)?.encrypting) return;
+  await resealProfile(userId, null, key);
+  const { encrypting, ...meta } = vaultMeta(userId);
+  setVaultMeta(userId, meta);
+}
+
+async function lockProfiles() {
+  vaultKeys.clear();
+  // decrypted contacts and file names don't outlive the key
+  contactsById = new Map();
+  contactsScope = null;
+  filesListing = null;
+  await render();
+  if (isLocked()) lockPassphraseEl.focus();
+}
+
+function openPassphrase() {
+  const has = !!vaultMeta(currentUserId());
+  passphraseForm.reset();
+  passphraseErrorEl.textContent = "";
+  passphraseTitle.textContent = has ? "Change passphrase" : "Set a passphrase";
+  currentPassphraseRow.hidden = !has;
+  currentPassphraseEl.required = has;
+  removePassphraseBtn.hidden = !has;
+  passphraseModal.showModal();
+  (has ? currentPassphraseEl : newPassphraseEl).focus();
+}
+
+function setPassphraseBusy(text) {
+  for (const btn of [passphraseSaveBtn, removePassphraseBtn, passphraseCancelBtn]) btn.disabled = !!text;
+  passphraseSaveBtn.textContent = text || "Save";
+}
+
+// The current passphrase's data key, or null (with the error shown)
+async function checkCurrentPassphrase(meta) {
+  const key = await unlockVault(meta, currentPassphraseEl.value);
+  if (!key) {
+    passphraseErrorEl.textContent = "The current passphrase is wrong.";
+    currentPassphraseEl.select();
+  }
+  return key;
+}
+
+async function savePassphrase() {
+  const userId = currentUserId();
+  const meta = vaultMeta(userId);
+  const next = newPassphraseEl.value;
+  passphraseErrorEl.textContent = "";
+  if (next.length < MIN_PASSPHRASE) {
+    passphraseErrorEl.textContent = `Use at least ${MIN_PASSPHRASE} characters.`;
+    return;
+  }
+  if (next !== repeatPassphraseEl.value) {
+    passphraseErrorEl.textContent = "The new passphrases don’t match.";
+    return;
+  }
+
+  try {
+    if (meta) {
+      setPassphraseBusy("Saving…");
+      const key = await checkCurrentPassphrase(meta);
+      if (!key) return;
+      vaultKeys.set(userId, key);
+      await finishEncrypting(userId, key);
+      // same data key, so nothing needs re-encrypting
+      setVaultMeta(userId, await rewrapVault(key, next));
+    } else {
+      setPassphraseBusy("Encrypting…");
+      // vault first: if the tab closes mid-way, what's left unencrypted still reads back fine
+      const { meta: created, key } = await createVault(next);
+      setVaultMeta(userId, { ...created, encrypting: true });
+      vaultKeys.set(userId, key);
+      await finishEncrypting(userId, key);
+    }
+  } catch (err) {
+    console.error(err);
+    passphraseErrorEl.textContent = `Could not save the passphrase: ${err.message}`;
+    return;
+  } finally {
+    setPassphraseBusy("");
+  }
+
+  passphraseModal.close();
+  await render();
+}
+
+async function removePassphrase() {
+  const userId = currentUserId();
+  const meta = vaultMeta(userId);
+  if (!meta) return;
+  passphraseErrorEl.textContent = "";
+
+  try {
+    setPassphraseBusy("Decrypting…");
+    const key = await checkCurrentPassphrase(meta);
+    if (!key) return;
+    if (!confirm("Remove the passphrase? This profile’s applications, contacts and files will be stored unencrypted on this device.")) return;
+    // decrypt everything before forgetting the key, so nothing is left unreadable
+    await resealProfile(userId, key, null);
+    setVaultMeta(userId, null);
+    vaultKeys.delete(userId);
+  } catch (err) {
+    console.error(err);
+    passphraseErrorEl.textContent = `Could not remove the passphrase: ${err.message}`;
+    return;
+  } finally {
+    setPassphraseBusy("");
+  }
+
+  passphraseModal.close();
+  await render();
+}
+
+/** ---------- Sign in (Cloud mode) ---------- */
+function updateAccountBtn() {
+  const cloud = currentMode() === "cloud";
+  accountBtn.hidden = !cloud;
+  const session = loadSession();
+  accountBtn.textContent = session ? `Sign out (${session.account.email})` : "Sign in";
+}
+
+function openAuth() {
+  authForm.reset();
+  authErrorEl.textContent = "";
+  authModal.showModal();
+  authEmailEl.focus();
+}
+
+async function signIn(action) {
+  authErrorEl.textContent = "";
+  let res;
+  try {
+    res = await fetch(`/api/auth?action=${action}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email: authEmailEl.value.trim(), password: authPasswordEl.value })
+    });
+  } catch (err) {
+    authErrorEl.textContent = "Can’t reach the server. Check your connection.";
+    return;
+  }
+
+  let body = {};
+  try { body = await res.json(); } catch {}
+  if (!res.ok) {
+    authErrorEl.textContent = body.error || `Sign-in failed (${res.status})`;
+    return;
+  }
+
+  saveSession({ token: body.token, account: body.account });
+  try { authModal.close(); } catch {}
+  await flushQueue(currentUserId());
+  await retryCloudPurges();
+  await render();
+}
+
+/** ---------- Modal controls ---------- */
+function closeModal() {
+  try { modal.close(); } catch {}
+  editingId = null;
+}
+
+cancelBtn.addEventListener("click", closeModal);
+modal.addEventListener("click", (e) => { if (e.target === modal) closeModal(); });
+
+jobLinkEl.addEventListener("focus", () => {
+  if (!jobLinkEl.value) jobLinkEl.value = "https://";
+});
+jobLinkEl.addEventListener("blur", () => {
+  if (jobLinkEl.value.trim() === "https://") jobLinkEl.value = "";
+});
+jobLinkEl.addEventListener("input", fillFromJobLink);
+jobLinkInfo.addEventListener("click", async (e) => {
+  const id = e.target.closest("[data-open-job]")?.dataset.openJob;
+  if (!id) return;
+  closeModal();
+  await openEdit(id);
+});
+
+/** ---------- Job board links ---------- */
+// Reads company, role and the board's posting id straight from a pasted job URL (no request
+// is made). Each board returns { company, role, externalId } (any may be missing) or null.
+const JOB_BOARDS = [
+  {
+    name: "Greenhouse",
+    parse(u, parts) {
+      // career sites embedding Greenhouse: careers.acme.com/jobs?gh_jid=123
+      if (u.searchParams.get("gh_jid")) return { company: siteName(u.hostname), externalId: u.searchParams.get("gh_jid") };
+      if (!/(^|\.)greenhouse\.io$/.test(u.hostname)) return null;
+      // boards.greenhouse.io/embed/job_app?for=acme&token=123
+      if (parts[0] === "embed") return { company: u.searchParams.get("for"), externalId: u.searchParams.get("token") };
+      // (job-)boards.greenhouse.io/acme/jobs/123
+      return parts[0] ? { company: parts[0], externalId: parts[1] === "jobs" ? parts[2] : "" } : null;
+    }
+  },
+  {
+    name: "Lever",
+    parse(u, parts) {
+      // jobs.lever.co/acme/<uuid>(/apply)
+      if (!/(^|\.)lever\.co$/.test(u.hostname) || !parts[0]) return null;
+      return { company: parts[0], externalId: parts[1] };
+    }
+  },
+  {
+    name: "Ashby",
+    parse(u, parts) {
+      // jobs.ashbyhq.com/acme/<uuid>(/application)
+      if (!/(^|\.)ashbyhq\.com$/.test(u.hostname) || !parts[0]) return null;
+      return { company: parts[0], externalId: parts[1] };
+    }
+  },
+  {
+    name: "Workday",
+    parse(u, parts) {
+      // acme.wd5.myworkdayjobs.com/(en-US/)External/job/Remote-USA/Senior-Engineer_R12345(-1)
+      if (!/\.myworkdayjobs\.com$/.test(u.hostname)) return null;
+      const company = u.hostname.split(".")[0];
+      const slug = parts.includes("job") ? parts[parts.length - 1] : "";
+      const cut = slug.lastIndexOf("_");
+      if (cut < 0) return { company };
+      // "-1", "-2"… mark re-posts of the same requisition
+      return { company, role: slug.slice(0, cut), externalId: slug.slice(cut + 1).replace(/-\d{1,2}$/, "") };
+    }
+  },
+  {
+    name: "LinkedIn",
+    parse(u, parts) {
+      if (!/(^|\.)linkedin\.com$/.test(u.hostname)) return null;
+      // linkedin.com/jobs/search/?currentJobId=123
+      if (u.searchParams.get("currentJobId")) return { externalId: u.searchParams.get("currentJobId") };
+      // linkedin.com/jobs/view/123 or /jobs/view/senior-engineer-at-acme-123
+      if (parts[0] !== "jobs" || parts[1] !== "view" || !parts[2]) return null;
+      const m = parts[2].match(/^(?:(.+)-at-(.+)-)?(\d+)$/);
+      return m ? { role: m[1], company: m[2], externalId: m[3] } : null;
+    }
+  },
+  {
+    name: "SmartRecruiters",
+    parse(u, parts) {
+      // jobs.smartrecruiters.com/Acme/744000012345-senior-engineer
+      if (!/(^|\.)smartrecruiters\.com$/.test(u.hostname) || !parts[0]) return null;
+      const m = (parts[1] || "").match(/^(\d+)(?:-(.+))?$/);
+      return { company: parts[0], role: m?.[2], externalId: m?.[1] };
+    }
+  },
+  {
+    name: "Workable",
+    parse(u, parts) {
+      // apply.workable.com/acme/j/ABC123DEF/
+      if (!/(^|\.)workable\.com$/.test(u.hostname) || !parts[0]) return null;
+      return { company: parts[0], externalId: parts[1] === "j" ? parts[2] : "" };
+    }
+  }
+];
+
+// "careers.acme-corp.com" -> "acme-corp"
+function siteName(hostname) {
+  const labels = hostname.replace(/^www\./, "").split(".");
+  return labels.length > 1 ? labels[labels.length - 2] : labels[0];
+}
+
+// "senior-software-engineer" -> "Senior Software Engineer" (words with capitals are kept as typed)
+function unslug(slug) {
+  let text = String(slug || "");
+  try { text = decodeURIComponent(text); } catch {}
+  return text
+    .split(/[-_+\s]+/)
+    .filter(Boolean)
+    .map(w => (/[A-Z]/.test(w) ? w : w[0].toUpperCase() + w.slice(1)))
+    .join(" ");
+}
+
+// -> { board, company, role, externalId } or null for links from unknown sites
+function parseJobUrl(input) {
+  const link = normalizeUrl(input);
+  if (!link) return null;
+
+  let u;
+  try {
+    u = new URL(link);
+  } catch {
+    return null;
+  }
+  const parts = u.pathname.split("/").filter(Boolean);
+  // Workday and others put a locale first (/en-US/...)
+  if (/^[a-z]{2}-[A-Z]{2}$/.test(parts[0] || "")) parts.shift();
+
+  for (const board of JOB_BOARDS) {
+    const hit = board.parse(u, parts);
+    if (!hit) continue;
+    return {
+      board: board.name,
+      company: unslug(hit.company),
+      role: unslug(hit.role),
+      externalId: String(hit.externalId || "").trim()
+    };
+  }
+  return null;
+}
+
+// Same posting: same board + posting id, or the same link ignoring query, hash and trailing "/"
+function samePosting(item, link, parsed) {
+  if (parsed?.externalId) {
+    const theirs = parseJobUrl(item.jobLink);
+    const board = item.jobBoard || theirs?.board;
+    const id = item.externalId || theirs?.externalId;
+    if (board === parsed.board && id === parsed.externalId) return true;
+  }
+  return !!item.jobLink && bareUrl(item.jobLink) === bareUrl(link);
+}
+
+function bareUrl(url) {
+  return normalizeUrl(url).toLowerCase().replace(/[?#].*$/, "").replace(/\/+$/, "");
+}
+
+// Company/role/id values filled in from the link, so a different link can replace our guesses
+// (but never what the user typed)
+let linkFilled = {};
+let jobLinkTimer = null;
+
+function fillFromJobLink() {
+  // focusing the empty field pre-types "https://"; a pasted full URL then doubles it
+  const doubled = jobLinkEl.value.match(/^https?:\/\/(https?:\/\/.*)$/i);
+  if (doubled) jobLinkEl.value = doubled[1];
+
+  const parsed = parseJobUrl(jobLinkEl.value);
+  if (parsed) {
+    for (const [el, value] of [[companyEl, parsed.company], [roleEl, parsed.role], [externalIdEl, parsed.externalId]]) {
+      if (!value || (el.value.trim() && el.value !== linkFilled[el.id])) continue;
+      el.value = value;
+      linkFilled[el.id] = value;
+    }
+  }
+
+  clearTimeout(jobLinkTimer);
+  jobLinkTimer = setTimeout(() => showJobLinkInfo(parsed), 300);
+}
+
+async function showJobLinkInfo(parsed) {
+  const link = normalizeUrl(jobLinkEl.value);
+  const editing = editingId;
+  let match = null;
+  if (link && link !== "https://") {
+    try {
+      match = (await loadItems()).find(it => it.id !== editing && samePosting(it, link, parsed)) || null;
+    } catch {}
+  }
+  if (editing !== editingId) return; // the modal moved on meanwhile
+
+  const recognized = parsed
+    ? `${parsed.board} posting${parsed.externalId ? ` · job ${parsed.externalId}` : ""}`
+    : "";
+  const duplicate = match
+    ? `Already tracked: ${match.company || "—"} — ${match.role || "—"} (${match.status})`
+    : "";
+  jobLinkInfo.innerHTML = [
+    recognized && `<span>${escapeHtml(recognized)}</span>`,
+    duplicate && `<span class="duplicate">${escapeHtml(duplicate)}</span>
+      <button type="button" class="smallBtn" data-open-job="${escapeHtml(match.id)}">Open it</button>`
+  ].filter(Boolean).join(" ");
+  jobLinkInfo.hidden = !recognized && !duplicate;
+}
+
+function resetJobLinkInfo() {
+  linkFilled = {};
+  clearTimeout(jobLinkTimer);
+  jobLinkInfo.hidden = true;
+  jobLinkInfo.innerHTML = "";
+}
+
+/** ---------- Status history ---------- */
+// Returns the item's history with an event appended when the status changes (or a note is given).
+// Records saved before history existed get their original status as a first, undated event.
+function withStatusEvent(prev, status, note = "") {
+  const history = Array.isArray(prev?.history) ? [...prev.history] : [];
+  if (prev && !history.length && prev.status) {
+    history.push({ status: prev.status, at: prev.dateSubmitted || "" });
+  }
+  if (!prev || prev.status !== status || note) {
+    history.push({ status, at: new Date().toISOString(), ...(note ? { note } : {}) });
+  }
+  return history;
+}
+
+function fmtEventTime(at) {
+  if (!at) return "Date unknown";
+  if (/^\d{4}-\d{2}-\d{2}$/.test(at)) return at;
+  const d = new Date(at);
+  return Number.isNaN(d.getTime()) ? at : d.toLocaleString();
+}
+
+function formatHistory(history) {
+  return (history || [])
+    .map(e => `${e.at ? e.at.slice(0, 10) : "?"} ${e.status}${e.note ? ` (${e.note})` : ""}`)
+    .join("; ");
+}
+
+function renderHistory(history) {
+  if (!history?.length) {
+    historyList.innerHTML = `<li class="muted">No status changes yet.</li>`;
+    return;
+  }
+  historyList.innerHTML = history.map(e => `
+    <li>
+      <strong>${escapeHtml(e.status)}</strong>
+      <span class="muted when">${escapeHtml(fmtEventTime(e.at))}</span>
+      ${e.note ? `<div>${escapeHtml(e.note)}</div>` : ""}
+    </li>
+  `).join("");
+}
+
+/** ---------- Contacts (edit modal) ---------- */
+// Contacts linked to the application in the open modal; saved with it on Save
+let editingContactIds = [];
+// The profile's contacts, as last loaded (modal panel, search, exports)
+let contactsById = new Map();
+let contactsScope = null; // mode + account + profile contactsById was loaded for
+let editingContactId = null; // contact open in the contact dialog (null = new)
+
+async function loadContactsById() {
+  const scope = dataScopeNow();
+  try {
+    const contacts = await getContactStore().list({ userId: currentUserId() });
+    contactsById = new Map(contacts.map(c => [c.id, c]));
+    contactsScope = scope;
+  } catch (err) {
+    // never show another profile's contacts
+    if (contactsScope !== scope) {
+      contactsById = new Map();
+      contactsScope = null;
+    }
+    if (!(err instanceof AuthError) && !isNetworkError(err)) console.error(err);
+  }
+  return contactsById;
+}
+
+// render() runs on every keystroke: contacts are only fetched again once the profile, mode or
+// account changed (contact edits and imports reload or invalidate the cache themselves)
+async function cachedContactsById() {
+  return contactsScope === dataScopeNow() ? contactsById : loadContactsById();
+}
+
+// The item's linked contacts that still exist
+function contactsOf(item, byId = contactsById) {
+  return (item.contactIds || []).map(id => byId.get(id)).filter(Boolean);
+}
+
+function describeContact(c) {
+  return [c.name, c.company].filter(Boolean).join(" · ");
+}
+
+function renderJobContacts() {
+  const linked = editingContactIds.map(id => contactsById.get(id)).filter(Boolean);
+  jobContactsEl.innerHTML = linked.length
+    ? linked.map(c => `
+        <li>
+          <button type="button" class="linkBtn" data-contact-edit="${escapeHtml(c.id)}" title="Edit contact">${escapeHtml(describeContact(c))}</button>
+          ${c.email ? `<a href="mailto:${escapeHtml(c.email)}">${escapeHtml(c.email)}</a>` : ""}
+          ${c.phone ? `<span class="muted">${escapeHtml(c.phone)}</span>` : ""}
+          ${normalizeUrl(c.linkedin) ? `<a href="${escapeHtml(normalizeUrl(c.linkedin))}" target="_blank" rel="noopener noreferrer">LinkedIn</a>` : ""}
+          <button type="button" class="smallBtn" data-contact-unlink="${escapeHtml(c.id)}" aria-label="Unlink ${escapeHtml(c.name)}">×</button>
+        </li>
+      `).join("")
+    : `<li class="muted">No contacts linked.</li>`;
+
+  const available = [...contactsById.values()]
+    .filter(c => !editingContactIds.includes(c.id))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  contactPick.innerHTML = [
+    `<option value="">${available.length ? "Link an existing contact…" : "No other contacts yet"}</option>`,
+    ...available.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(describeContact(c))}</option>`)
+  ].join("");
+  contactPick.disabled = contactLinkBtn.disabled = !available.length;
+}
+
+async function refreshContactsPanel() {
+  await loadContactsById();
+  renderJobContacts();
+}
+
+function linkPickedContact() {
+  const id = contactPick.value;
+  if (!id || editingContactIds.includes(id)) return;
+  editingContactIds.push(id);
+  renderJobContacts();
+}
+
+function unlinkContact(id) {
+  editingContactIds = editingContactIds.filter(x => x !== id);
+  renderJobContacts();
+}
+
+function openContactEditor(id = null) {
+  const c = id ? contactsById.get(id) : null;
+  editingContactId = c ? c.id : null;
+  contactForm.reset();
+  contactTitle.textContent = c ? "Edit contact" : "New contact";
+  contactNameEl.value = c?.name || "";
+  contactCompanyEl.value = c ? c.company || "" : companyEl.value.trim(); // new: same company as the application
+  contactEmailEl.value = c?.email || "";
+  contactPhoneEl.value = c?.phone || "";
+  contactLinkedinEl.value = c?.linkedin || "";
+  contactNotesEl.value = c?.notes || "";
+  contactDeleteBtn.hidden = !c;
+  contactModal.showModal();
+  contactNameEl.focus();
+}
+
+async function saveContactFromForm() {
+  const name = contactNameEl.value.trim();
+  if (!name) return;
+
+  const contact = {
+    id: editingContactId || uid(),
+    name,
+    company: contactCompanyEl.value.trim(),
+    email: contactEmailEl.value.trim(),
+    phone: contactPhoneEl.value.trim(),
+    linkedin: normalizeUrl(contactLinkedinEl.value),
+    notes: contactNotesEl.value.trim(),
+    updatedAt: Date.now()
+  };
+
+  try {
+    await getContactStore().put({ userId: currentUserId(), contact });
+  } catch (err) {
+    console.error(err);
+    alert(`Could not save the contact: ${err.message}`);
+    return;
+  }
+  // a contact created from an application is linked to it right away
+  if (!editingContactIds.includes(contact.id)) editingContactIds.push(contact.id);
+  contactModal.close();
+  await refreshContactsPanel();
+}
+
+async function deleteEditingContact() {
+  const c = contactsById.get(editingContactId);
+  if (!c) return;
+  const users = (await loadItems()).filter(it => it.contactIds?.includes(c.id)).length;
+  const usage = users ? `\n\nIt is linked to ${users} application(s); they keep everything else.` : "";
+  if (!confirm(`Delete the contact "${c.name}"?${usage}`)) return;
+
+  try {
+    await getContactStore().remove({ userId: currentUserId(), id: c.id });
+  } catch (err) {
+    console.error(err);
+    alert(`Could not delete the contact: ${err.message}`);
+    return;
+  }
+  editingContactIds = editingContactIds.filter(x => x !== c.id);
+  contactModal.close();
+  await refreshContactsPanel();
+}
+
+// Export: one row per contact, with the applications it is linked to
+const CONTACT_COLUMNS = [
+  { key: "name", header: "Name" },
+  { key: "company", header: "Company" },
+  { key: "email", header: "Email" },
+  { key: "phone", header: "Phone" },
+  { key: "linkedin", header: "LinkedIn" },
+  { key: "notes", header: "Notes" }
+];
+
+function buildContactsCsv(contacts, items) {
+  return [
+    [...CONTACT_COLUMNS.map(c => c.header), "Applications"].join(","),
+    ...contacts.map(contact => {
+      const apps = items
+        .filter(it => it.contactIds?.includes(contact.id))
+        .map(it => `${it.company || "—"} — ${it.role || "—"}`)
+        .join("; ");
+      return [...CONTACT_COLUMNS.map(c => contact[c.key]), apps].map(csvCell).join(",");
+    })
+  ].join("\n");
+}
+
+/** ---------- Interview rounds ---------- */
+// Stored on the job as `rounds`: [{ id, type, at: "YYYY-MM-DDTHH:MM" (local time), interviewers, prep, outcome }]
+const ROUND_TYPES = ["Phone screen", "Recruiter call", "Technical", "Take-home", "Onsite", "Panel", "Final", "Other"];
+const ROUND_OUTCOMES = ["Pending", "Passed", "Failed", "Cancelled"];
+const ROUND_MINUTES = 60; // calendar length of a round
+
+// Rounds of the application in the open modal; saved with it on Save
+let editingRounds = [];
+let editingRoundId = null; // round open in the round dialog (null = new)
+
+function roundTime(round) {
+  const d = new Date(round.at || "");
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function byRoundTime(a, b) {
+  return String(a.at || "").localeCompare(String(b.at || ""));
+}
+
+// Earliest round still ahead (cancelled ones don't count)
+function nextRound(item, now = new Date()) {
+  return (item.rounds || [])
+    .filter(r => r.outcome !== "Cancelled" && roundTime(r) >= now)
+    .sort(byRoundTime)[0] || null;
+}
+
+function fmtRoundTime(round) {
+  const d = roundTime(round);
+  return d ? d.toLocaleString([], { dateStyle: "medium", timeStyle: "short" }) : "Date not set";
+}
+
+function renderNextRound(it) {
+  const r = nextRound(it);
+  if (!r) return "";
+  return `
+    <div class="nextRound">
+      <div class="dueDate">${escapeHtml(fmtRoundTime(r))}</div>
+      <div>${escapeHtml(r.type)}</div>
+    </div>
+  `;
+}
+
+function renderRounds() {
+  if (!editingRounds.length) {
+    roundListEl.innerHTML = `<li class="muted">No rounds yet.</li>`;
+    return;
+  }
+  roundListEl.innerHTML = [...editingRounds].sort(byRoundTime).map(r => `
+    <li data-round="${escapeHtml(r.id)}">
+      <div>
+        <strong>${escapeHtml(r.type)}</strong>
+        <span class="muted">${escapeHtml(fmtRoundTime(r))}</span>
+        <span class="badge outcome${escapeHtml(r.outcome || "Pending")}">${escapeHtml(r.outcome || "Pending")}</span>
+        ${r.interviewers ? `<div class="muted">With ${escapeHtml(r.interviewers)}</div>` : ""}
+        ${r.prep ? `<div class="prep">${escapeHtml(r.prep)}</div>` : ""}
+      </div>
+      <div class="roundActions">
+        <button type="button" class="smallBtn" data-round-action="edit">Edit</button>
+        <button type="button" class="smallBtn" data-round-action="delete">Delete</button>
+      </div>
+    </li>
+  `).join("");
+}
+
+function openRoundEditor(id = null) {
+  const r = editingRounds.find(x => x.id === id) || null;
+  editingRoundId = r ? r.id : null;
+  roundForm.reset();
+  roundTitle.textContent = r ? "Edit interview round" : "Add interview round";
+  roundTypeEl.value = r?.type || ROUND_TYPES[0];
+  roundAtEl.value = r?.at || "";
+  roundInterviewersEl.value = r?.interviewers || "";
+  roundPrepEl.value = r?.prep || "";
+  roundOutcomeEl.value = r?.outcome || "Pending";
+  roundModal.showModal();
+  roundTypeEl.focus();
+}
+
+function saveRoundFromForm() {
+  const round = {
+    id: editingRoundId || uid(),
+    type: roundTypeEl.value,
+    at: roundAtEl.value || "",
+    interviewers: roundInterviewersEl.value.trim(),
+    prep: roundPrepEl.value.trim(),
+    outcome: roundOutcomeEl.value
+  };
+  const idx = editingRounds.findIndex(x => x.id === round.id);
+  if (idx >= 0) editingRounds[idx] = round;
+  else editingRounds.push(round);
+  roundModal.close();
+  renderRounds();
+}
+
+function handleRoundAction(action, id) {
+  if (action === "edit") return openRoundEditor(id);
+  if (action === "delete") {
+    const r = editingRounds.find(x => x.id === id);
+    if (!r || !confirm(`Delete the ${r.type} round (${fmtRoundTime(r)})?`)) return;
+    editingRounds = editingRounds.filter(x => x.id !== id);
+    renderRounds();
+  }
+}
+
+/** ---------- Files (IndexedDB) ---------- */
+function setFileInfo(el, record, versionCount = 1) {
+  if (!record) {
+    el.textContent = "None uploaded";
+    return;
+  }
+  const d = new Date(record.uploadedAt);
+  const parts = [record.filename, d.toLocaleDateString()];
+  if (record.label) parts.push(record.label);
+  if (record.submitted) parts.push("submitted");
+  if (versionCount > 1) parts.push(`${versionCount} versions`);
+  el.textContent = parts.join(" • ");
+}
+
+function downloadRecord(record) {
+  const url = URL.createObjectURL(record.blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = record.filename || "file";
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Attachment types whose version list is expanded in the open modal
+const openVersionLists = new Set();
+
+function renderVersionList(type, versions) {
+  const list = $(`${type}Versions`);
+  const toggle = filesPanel.querySelector(`[data-versions-toggle="${type}"]`);
+  const open = openVersionLists.has(type) && versions.length > 0;
+
+  toggle.disabled = !versions.length;
+  toggle.setAttribute("aria-expanded", String(open));
+  list.hidden = !open;
+  if (!open) return;
+
+  // newest first
+  list.innerHTML = [...versions].reverse().map(v => `
+    <li>
+      <div>
+        <strong>${escapeHtml(v.filename)}</strong>
+        <span class="muted">${escapeHtml(fmtEventTime(v.uploadedAt))}</span>
+        ${v.current ? `<span class="badge">Current</span>` : ""}
+        ${v.submitted ? `<span class="badge submitted">Submitted</span>` : ""}
+        ${v.label ? `<div class="muted">${escapeHtml(v.label)}</div>` : ""}
+      </div>
+      <div class="versionActions" data-type="${type}" data-version-id="${escapeHtml(v.versionId)}">
+        <button type="button" class="smallBtn" data-version-action="download">Download</button>
+        <button type="button" class="smallBtn" data-version-action="restore" ${v.current ? "disabled" : ""}>Restore</button>
+        <button type="button" class="smallBtn" data-version-action="${v.submitted ? "unsubmit" : "submit"}">
+          ${v.submitted ? "Unmark submitted" : "Mark submitted"}
+        </button>
+        <button type="button" class="smallBtn" data-version-action="delete">Delete</button>
+      </div>
+    </li>
+  `).join("");
+}
+
+async function refreshFilePanel(jobId) {
+  let versions = [];
+  try {
+    versions = await getFileStore().listVersions({ userId: currentUserId(), jobId });
+  } catch (err) {
+    console.error(err);
+  }
+
+  const rows = [
+    ["resume", resumeInfo, resumeDownload, resumeRemove],
+    ["cover", coverInfo, coverDownload, coverRemove],
+    ["portfolio", portfolioInfo, portfolioDownload, portfolioRemove]
+  ];
+  for (const [type, info, download, remove] of rows) {
+    const ofType = versions.filter(v => v.type === type);
+    const current = ofType.find(v => v.current) || ofType[ofType.length - 1];
+
+    setFileInfo(info, current, ofType.length);
+    download.disabled = !current;
+    remove.disabled = !current;
+    renderVersionList(type, ofType);
+  }
+  await refreshLibraryPicker();
+}
+
+// Documents offered by the "Attach from library" picker in the open modal
+let libraryDocs = [];
+
+async function refreshLibraryPicker() {
+  try {
+    libraryDocs = await getLibrary().list({ userId: currentUserId() });
+  } catch (err) {
+    console.error(err);
+    libraryDocs = [];
+  }
+
+  const selected = libraryDoc.value;
+  libraryDoc.innerHTML = libraryDocs.length
+    ? `<option value="">Attach from library…</option>` + [...libraryDocs].reverse().map(d => `
+        <option value="${escapeHtml(d.hash)}">${escapeHtml(d.filename)} • ${escapeHtml(new Date(d.uploadedAt).toLocaleDateString())}</option>
+      `).join("")
+    : `<option value="">Library is empty</option>`;
+  libraryDoc.value = libraryDocs.some(d => d.hash === selected) ? selected : "";
+  libraryDoc.disabled = !libraryDocs.length;
+  libraryAttachBtn.disabled = !libraryDocs.length;
+}
+
+async function attachFromLibrary() {
+  const doc = libraryDocs.find(d => d.hash === libraryDoc.value);
+  if (!doc || !editingId) return;
+  const type = libraryType.value;
+  // same rule as the Portfolio file input
+  if (type === "portfolio" && doc.mime !== "application/pdf") {
+    alert("Portfolio attachments must be PDF files.");
+    return;
+  }
+
+  try {
+    const label = versionLabel.value.trim();
+    await getFileStore().put({ userId: currentUserId(), jobId: editingId, type, docHash: doc.hash, label });
+    versionLabel.value = "";
+    libraryDoc.value = "";
+  } catch (err) {
+    console.error(err);
+    alert(`Could not attach the document: ${err.message}`);
+  }
+  await refreshFilePanel(editingId);
+}
+
+async function handleUpload(type, file) {
+  if (!file || !editingId) return;
+  try {
+    const label = versionLabel.value.trim();
+    await getFileStore().put({ userId: currentUserId(), jobId: editingId, type, file, label });
+    versionLabel.value = "";
+  } catch (err) {
+    console.error(err);
+    alert(`Upload failed: ${err.message}`);
+  }
+  await refreshFilePanel(editingId);
+}
+
+async function downloadAttachment(jobId, type, versionId) {
+  try {
+    const rec = await getFileStore().get({ userId: currentUserId(), jobId, type, versionId });
+    if (rec) downloadRecord(rec);
+  } catch (err) {
+    console.error(err);
+    alert(`Download failed: ${err.message}`);
+  }
+}
+
+// "Remove" drops the current version; the previous upload (if any) becomes current
+async function removeAttachment(type) {
+  try {
+    await getFileStore().remove({ userId: currentUserId(), jobId: editingId, type });
+  } catch (err) {
+    console.error(err);
+    alert(`Could not remove the file: ${err.message}`);
+  }
+  await refreshFilePanel(editingId);
+}
+
+async function handleVersionAction(action, type, versionId) {
+  if (action === "download") return downloadAttachment(editingId, type, versionId);
+
+  const slot = { userId: currentUserId(), jobId: editingId, type, versionId };
+  const store = getFileStore();
+  try {
+    if (action === "restore") await store.setCurrent(slot);
+    if (action === "submit") await store.markSubmitted({ ...slot, submitted: true });
+    if (action === "unsubmit") await store.markSubmitted({ ...slot, submitted: false });
+    if (action === "delete") {
+      if (!confirm("Delete this version permanently?")) return;
+      await store.remove(slot);
+    }
+  } catch (err) {
+    console.error(err);
+    alert(`Could not update the file: ${err.message}`);
+  }
+  await refreshFilePanel(editingId);
+}
+
+resumeFile.addEventListener("change", (e) => handleUpload("resume", e.target.files?.[0]));
+coverFile.addEventListener("change", (e) => handleUpload("cover", e.target.files?.[0]));
+portfolioFile.addEventListener("change", (e) => handleUpload("portfolio", e.target.files?.[0]));
+
+resumeDownload.addEventListener("click", () => downloadAttachment(editingId, "resume"));
+coverDownload.addEventListener("click", () => downloadAttachment(editingId, "cover"));
+portfolioDownload.addEventListener("click", () => downloadAttachment(editingId, "portfolio"));
+
+resumeRemove.addEventListener("click", () => removeAttachment("resume"));
+coverRemove.addEventListener("click", () => removeAttachment("cover"));
+portfolioRemove.addEventListener("click", () => removeAttachment("portfolio"));
+
+filesPanel.addEventListener("click", (e) => {
+  const toggle = e.target.closest("[data-versions-toggle]");
+  if (toggle) {
+    const type = toggle.dataset.versionsToggle;
+    if (openVersionLists.has(type)) openVersionLists.delete(type);
+    else openVersionLists.add(type);
+    refreshFilePanel(editingId);
+    return;
+  }
+
+  const btn = e.target.closest("[data-version-action]");
+  if (!btn) return;
+  const { type, versionId } = btn.closest(".versionActions").dataset;
+  handleVersionAction(btn.dataset.versionAction, type, versionId);
+});
+
+/** ---------- Document library ---------- */
+const FILE_TYPE_LABELS = { resume: "Resume", cover: "Cover letter", portfolio: "Portfolio" };
+
+function fmtSize(bytes) {
+  if (!bytes) return "";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Whether the application ever got further than the start status (e.g. to an interview)
+function movedPastStart(item) {
+  const progressed = progressStatuses();
+  return [item.status, ...(item.history || []).map(e => e.status)].some(s => progressed.includes(s));
+}
+
+async function renderLibrary() {
+  const userId = currentUserId();
+  let docs, versions, items;
+  try {
+    // list() first: it may move older attachments into the library
+    docs = await getLibrary().list({ userId });
+    versions = await getFileStore().listVersions({ userId });
+    items = await loadItems();
+  } catch (err) {
+    console.error(err);
+    libraryList.innerHTML = `<li class="muted">Could not load the library: ${escapeHtml(err.message)}</li>`;
+    return;
+  }
+
+  if (!docs.length) {
+    libraryList.innerHTML = `<li class="muted">No documents yet. Add one here or upload a file to an application.</li>`;
+    return;
+  }
+
+  const byId = new Map(items.map(it => [it.id, it]));
+  libraryList.innerHTML = [...docs].reverse().map(doc => {
+    const uses = versions.filter(v => v.docHash === doc.hash);
+    const jobs = [...new Set(uses.map(v => v.jobId))].map(id => byId.get(id)).filter(Boolean);
+    const progressed = jobs.filter(movedPastStart).length;
+
+    const usage = uses.filter(v => byId.has(v.jobId)).map(v => {
+      const it = byId.get(v.jobId);
+      const parts = [
+        `${it.company || "—"} — ${it.role || "—"}`,
+        it.status,
+        FILE_TYPE_LABELS[v.type] || v.type,
+        v.current ? "" : "earlier version",
+        v.submitted ? "submitted" : "",
+        v.label
+      ].filter(Boolean);
+      return `<li>${escapeHtml(parts.join(" · "))}</li>`;
+    }).join("");
+
+    return `
+      <li>
+        <div class="docHead">
+          <div>
+            <strong>${escapeHtml(doc.filename)}</strong>
+            <span class="muted">${escapeHtml([fmtSize(doc.size), fmtEventTime(doc.uploadedAt)].filter(Boolean).join(" • "))}</span>
+            <div class="muted hash" title="${vaultMeta(currentUserId()) ? "Keyed fingerprint" : "SHA-256"}">${escapeHtml(doc.hash.slice(0, 12))}</div>
+          </div>
+          <div class="docActions" data-hash="${escapeHtml(doc.hash)}">
+            <button type="button" class="smallBtn" data-doc-action="download">Download</button>
+            <button type="button" class="smallBtn" data-doc-action="delete" ${uses.length ? "disabled title=\"Still attached to an application\"" : ""}>Delete</button>
+          </div>
+        </div>
+        <div>
+          ${jobs.length
+            ? `Used by ${jobs.length} application(s) · ${progressed} moved past ${escapeHtml(startStatus())}`
+            : `<span class="muted">Not attached to any application</span>`}
+        </div>
+        ${usage ? `<ul class="usage">${usage}</ul>` : ""}
+      </li>
+    `;
+  }).join("");
+}
+
+async function openLibrary() {
+  libraryList.innerHTML = `<li class="muted">Loading…</li>`;
+  libraryModal.showModal();
+  await renderLibrary();
+}
+
+async function addToLibrary(file) {
+  if (!file) return;
+  try {
+    await getLibrary().put({ userId: currentUserId(), file });
+  } catch (err) {
+    console.error(err);
+    alert(`Upload failed: ${err.message}`);
+  }
+  await renderLibrary();
+}
+
+async function handleLibraryAction(action, hash) {
+  const library = getLibrary();
+  const userId = currentUserId();
+  try {
+    if (action === "download") {
+      const doc = await library.get({ userId, hash });
+      if (doc) downloadRecord(doc);
+      return;
+    }
+    if (action === "delete") {
+      if (!confirm("Delete this document from the library?")) return;
+      if (!await library.remove({ userId, hash })) {
+        alert("This document is still attached to an application. Remove it there first.");
+      }
+    }
+  } catch (err) {
+    console.error(err);
+    alert(`Could not update the library: ${err.message}`);
+  }
+  await renderLibrary();
+}
+
+/** ---------- Search query language ---------- */
+// Syntax of the search box (terms are ANDed):
+//   plain words           company, role, notes, job link, next action or a linked contact contain the word
+//   "two words"           quotes keep spaces together (also after a field: company:"Acme Corp")
+//   field:value           company: role: notes: link: action: contact: status: (exact, any case)
+//   after:/before:        date submitted on/after, or strictly before, the date (2026-01-01)
+//   has:                  resume, cover, portfolio, files, link, notes, followup, contact
+//   -term                 negation (-status:rejected, -has:cover)
+//   a,b                   either value (status:applied,interview or status:offer,"phone screen")
+const QUERY_TEXT_FIELDS = {
+  company: it => it.company,
+  role: it => it.role,
+  notes: it => it.notes,
+  link: it => it.jobLink,
+  action: it => it.nextAction,
+  // name, company, email and phone of the linked contacts
+  contact: it => contactsOf(it).map(c => [c.name, c.company, c.email, c.phone].join(" ")).join(" ")
+};
+const QUERY_FIELDS = [...Object.keys(QUERY_TEXT_FIELDS), "status", "after", "before", "has"];
+const HAS_VALUES = ["resume", "cover", "portfolio", "files", "link", "notes", "followup", "contact"];
+// one term: optional "-", optional "name:", then a "quoted value" or a bare a,"b c" list
+const QUERY_TERM_RE = /(-?)(?:([a-z][a-z0-9_]*):)?(?:"([^"]*)"?|((?:"[^"]*"|[^\s"])+))/gi;
+
+// The items of a bare a,"b c" list as written (quotes included)
+function listParts(bare) {
+  return bare.match(/"[^"]*"|[^,"]+/g) || [];
+}
+const unquote = part => part.replace(/^"|"$/g, "");
+
+// -> { terms: [{ field, values, negate, date? }], errors: [], needsFiles }
+function parseQuery(input) {
+  const terms = [];
+  const errors = [];
+
+  for (const m of String(input || "").matchAll(QUERY_TERM_RE)) {
+    const [raw, minus, name, quoted, bare] = m;
+    const negate = minus === "-";
+    const value = (quoted ?? bare ?? "").trim();
+    const field = name?.toLowerCase();
+
+    // unknown prefixes (e.g. "https:") are just text
+    const custom = field && !QUERY_FIELDS.includes(field) ? customFieldByKey(field) : null;
+    if (!field || !(QUERY_FIELDS.includes(field) || custom)) {
+      const text = (field ? raw.slice(minus.length) : value).toLowerCase();
+      if (text) terms.push({ field: null, values: [text], negate });
+      continue;
+    }
+    if (!value) continue;
+    if (custom) {
+      const term = parseFieldTerm(custom, value, quoted != null, negate);
+      if (term.error) errors.push(term.error);
+      else terms.push(term);
+      continue;
+    }
+
+    const values = (quoted != null ? [value] : listParts(value).map(unquote)).map(v => v.trim().toLowerCase()).filter(Boolean);
+    const term = { field, values, negate };
+
+    if (field === "status") {
+      const unknown = values.filter(v => !findStatus(v));
+      if (unknown.length) {
+        errors.push(`Unknown status "${unknown[0]}" (use ${statusNames({ archived: false }).join(", ")})`);
+        continue;
+      }
+    }
+    if (field === "after" || field === "before") {
+      term.date = toIsoDate(value);
+      if (!term.date) {
+        errors.push(`${field}: needs a date like 2026-01-31`);
+        continue;
+      }
+    }
+    if (field === "has") {
+      const unknown = values.filter(v => !HAS_VALUES.includes(v) && !customFieldByKey(v));
+      if (unknown.length) {
+        errors.push(`has: can be ${[...HAS_VALUES, ...loadFieldDefs().map(d => d.key)].join(", ")}`);
+        continue;
+      }
+    }
+    terms.push(term);
+  }
+
+  const needsFiles = terms.some(t => t.field === "has" && t.values.some(v => ["resume", "cover", "portfolio", "files"].includes(v)));
+  return { terms, errors, needsFiles };
+}
+
+// The query with `from` renamed to `to` in its status: terms; everything else stays as typed
+function renameStatusInQuery(input, from, to) {
+  const same = part => unquote(part).trim().toLowerCase() === from.toLowerCase();
+  const written = /[\s,]/.test(to) ? `"${to}"` : to;
+  return String(input || "").replace(QUERY_TERM_RE, (raw, minus, name, quoted, bare) => {
+    if (name?.toLowerCase() !== "status") return raw;
+    if (quoted != null) return same(quoted) ? `${minus}${name}:${written}` : raw;
+    const parts = listParts(bare);
+    if (!parts.some(same)) return raw;
+    return `${minus}${name}:${parts.map(p => (same(p) ? written : p)).join(",")}`;
+  });
+}
+
+function termMatches(term, item, files) {
+  const contains = text => term.values.some(v => String(text || "").toLowerCase().includes(v));
+
+  switch (term.field) {
+    case null:
+      return Object.values(QUERY_TEXT_FIELDS).some(get => contains(get(item))) || contains(customFieldText(item));
+    case "status":
+      return term.values.includes(String(item.status || "").toLowerCase());
+    case "after":
+      return !!item.dateSubmitted && item.dateSubmitted >= term.date;
+    case "before":
+      return !!item.dateSubmitted && item.dateSubmitted < term.date;
+    case "has":
+      return term.values.some(v => {
+        if (v === "files") return files.length > 0;
+        if (v === "link") return !!normalizeUrl(item.jobLink);
+        if (v === "notes") return !!item.notes?.trim();
+        if (v === "followup") return !!(item.nextActionDate || item.nextAction);
+        if (v === "contact") return contactsOf(item).length > 0;
+        const def = customFieldByKey(v);
+        if (def) return !isEmptyFieldValue(item.fields?.[def.id]);
+        return files.some(f => f.type === v);
+      });
+    case "custom":
+      return fieldTermMatches(term, item.fields?.[term.def.id]);
+    default:
+      return contains(QUERY_TEXT_FIELDS[term.field](item));
+  }
+}
+
+/** ---------- Status pipeline (per profile) ---------- */
+// Each profile orders its own statuses. Records keep the status name, so a rename rewrites the
+// records using it. The kind says what a status means wherever the app used to name statuses:
+// "active" steps and then "success" ones make the funnel, "closed" ones are outcomes. New
+// applications start in the start status. Archived statuses leave the pickers and the board but
+// stay known, so older records and searches keep working.
+const STATUS_KINDS = { active: "Active", success: "Success", closed: "Closed" };
+const DEFAULT_PIPELINE = [
+  { name: "Interested", kind: "active" },
+  { name: "Applied", kind: "active", start: true },
+  { name: "Interview", kind: "active" },
+  { name: "Offer", kind: "success" },
+  { name: "Rejected", kind: "closed" },
+  { name: "Withdrawn", kind: "closed" }
+];
+const MAX_STATUS_LENGTH = 40;
+
+// Whatever is stored comes back usable: unique names, known kinds, exactly one start status
+function normalizePipeline(list) {
+  const seen = new Set();
+  const steps = [];
+  for (const s of Array.isArray(list) ? list : []) {
+    const name = String(s?.name || "").trim().slice(0, MAX_STATUS_LENGTH);
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    steps.push({ name, kind: STATUS_KINDS[s.kind] ? s.kind : "active", archived: !!s.archived, start: !!s.start });
+  }
+  const open = steps.filter(s => !s.archived);
+  if (!open.length) return normalizePipeline(DEFAULT_PIPELINE);
+  const start = open.find(s => s.start && s.kind === "active") || open.find(s => s.kind === "active") || open[0];
+  return steps.map(s => ({ ...s, start: s === start }));
+}
+
+// Parsed once per stored value: sorting and analytics ask for every record
+let pipelineCache = { raw: undefined, steps: [] };
+
+function loadPipeline(userId = currentUserId()) {
+  const key = PIPELINE_PREFIX + userId;
+  const raw = localStorage.getItem(key);
+  if (raw !== pipelineCache.raw) pipelineCache = { raw, steps: normalizePipeline(readJson(key, DEFAULT_PIPELINE)) };
+  return pipelineCache.steps;
+}
+function savePipeline(steps, userId = currentUserId()) {
+  localStorage.setItem(PIPELINE_PREFIX + userId, JSON.stringify(normalizePipeline(steps)));
+}
+
+// Names in pipeline order, archived ones included unless asked otherwise
+function statusNames({ archived = true } = {}) {
+  return loadPipeline().filter(s => archived || !s.archived).map(s => s.name);
+}
+function findStatus(name) {
+  const key = String(name || "").toLowerCase();
+  return loadPipeline().find(s => s.name.toLowerCase() === key) || null;
+}
+function statusesOfKind(kind) {
+  return loadPipeline().filter(s => s.kind === kind).map(s => s.name);
+}
+function startStatus() {
+  return loadPipeline().find(s => s.start).name;
+}
+
+// Active steps, then success ones (archived ones left out)
+function funnelStatuses() {
+  const open = loadPipeline().filter(s => !s.archived);
+  return [...open.filter(s => s.kind === "active"), ...open.filter(s => s.kind === "success")].map(s => s.name);
+}
+
+// Statuses meaning the company moved an application on: later funnel steps than the start
+function progressStatuses() {
+  const funnel = funnelStatuses();
+  return funnel.slice(funnel.indexOf(startStatus()) + 1);
+}
+
+// Statuses of records (e.g. imported or moved ones) that the profile's pipeline doesn't know join
+// it, as `known` describes them (the other profile's pipeline) or else as active steps.
+// Returns true when any were added.
+function ensureStatuses(names, known = [], userId = currentUserId()) {
+  const steps = loadPipeline(userId);
+  const missing = [...new Set(names.filter(n => n && !steps.some(s => s.name.toLowerCase() === n.toLowerCase())))];
+  if (!missing.length) return false;
+  savePipeline([...steps, ...missing.map(name => {
+    const k = known.find(s => s?.name === name);
+    return { name, kind: k?.kind || "active", archived: !!k?.archived };
+  })], userId);
+  return true;
+}
+
+// "All statuses" + the pipeline; archived statuses stay filterable
+function renderStatusFilter() {
+  const steps = loadPipeline();
+  const value = statusFilterEl.value;
+  const option = s => `<option>${escapeHtml(s.name)}</option>`;
+  const archived = steps.filter(s => s.archived);
+  statusFilterEl.innerHTML = `<option value="">All statuses</option>` +
+    steps.filter(s => !s.archived).map(option).join("") +
+    (archived.length ? `<optgroup label="Archived">${archived.map(option).join("")}</optgroup>` : "");
+  statusFilterEl.value = steps.some(s => s.name === value) ? value : "";
+}
+
+// The edit modal's picker: the current statuses, plus the record's own if it was archived since
+function renderStatusSelect(current) {
+  const names = statusNames({ archived: false });
+  if (current && !names.includes(current)) names.push(current);
+  statusEl.innerHTML = names.map(n => `<option>${escapeHtml(n)}</option>`).join("");
+  statusEl.value = current || startStatus();
+}
+
+async function renderPipeline() {
+  let items = [];
+  try {
+    items = await loadAllItems();
+  } catch (err) {
+    console.warn("Could not count applications per status:", err);
+  }
+  const steps = loadPipeline();
+
+  pipelineList.innerHTML = steps.map((s, i) => {
+    const used = items.filter(it => it.status === s.name).length;
+    const detail = [
+      s.start ? "new applications start here" : "",
+      `${used} application(s)`,
+      s.archived ? "archived" : ""
+    ].filter(Boolean).join(" · ");
+    return `
+      <li>
+        <div class="docHead">
+          <div>
+            <strong>${escapeHtml(s.name)}</strong>
+            <span class="muted">${escapeHtml(detail)}</span>
+          </div>
+          <div class="docActions" data-status="${escapeHtml(s.name)}">
+            <select data-status-kind title="Kind" aria-label="Kind of ${escapeHtml(s.name)}">
+              ${Object.entries(STATUS_KINDS).map(([k, label]) => `<option value="${k}" ${k === s.kind ? "selected" : ""}>${label}</option>`).join("")}
+            </select>
+            <button type="button" class="smallBtn" data-status-action="up" title="Move up" ${i ? "" : "disabled"}>↑</button>
+            <button type="button" class="smallBtn" data-status-action="down" title="Move down" ${i < steps.length - 1 ? "" : "disabled"}>↓</button>
+            <button type="button" class="smallBtn" data-status-action="rename">Rename</button>
+            ${s.kind === "active" && !s.archived && !s.start ? `<button type="button" class="smallBtn" data-status-action="start">Start here</button>` : ""}
+            <button type="button" class="smallBtn" data-status-action="archive">${s.archived ? "Restore" : "Archive"}</button>
+          </div>
+        </div>
+      </li>
+    `;
+  }).join("");
+}
+
+async function openPipeline() {
+  pipelineList.innerHTML = `<li class="muted">Loading…</li>`;
+  pipelineModal.showModal();
+  await renderPipeline();
+}
+
+async function refreshPipeline() {
+  await renderPipeline();
+  await render();
+}
+
+// New applications need an active status to start in
+function keepsActiveStatus(steps) {
+  if (steps.some(s => !s.archived && s.kind === "active")) return true;
+  alert("Keep at least one active status: new applications start there.");
+  return false;
+}
+
+// Prompts for a status name; null when cancelled, unchanged or already taken
+function askStatusName(message, current = "") {
+  const name = prompt(message, current)?.trim().slice(0, MAX_STATUS_LENGTH);
+  if (!name || name === current) return null;
+  const taken = findStatus(name);
+  if (taken && taken.name.toLowerCase() !== current.toLowerCase()) {
+    alert(`There is already a status called "${taken.name}".`);
+    return null;
+  }
+  return name;
+}
+
+async function addStatus() {
+  const name = askStatusName("Name of the new status:");
+  if (!name) return;
+  // a new step goes after the last active one; its kind can be changed right after
+  const steps = [...loadPipeline()];
+  const at = steps.map(s => s.kind).lastIndexOf("active") + 1;
+  steps.splice(at, 0, { name, kind: "active" });
+  savePipeline(steps);
+  await refreshPipeline();
+}
+
+// The records go first: if that fails half-way, renaming again finishes the job
+// The pipeline is per profile and shared by both modes, so the records of both stores are renamed.
+// Ones that can't be read now (signed out, locked) keep the old name, which joins the pipeline
+// again when they're next shown (see render) so it can be renamed from there.
+async function renameStatus(from) {
+  const to = askStatusName(`Rename "${from}" to:`, from);
+  if (!to) return;
+
+  const userId = currentUserId();
+  const rename = s => (s === from ? to : s);
+  const renameIn = async store => {
+    for (const it of await Promise.resolve(store.load(userId))) {
+      if (it.status !== from && !(it.history || []).some(e => e.status === from)) continue;
+      await Promise.resolve(store.put(userId, {
+        ...it,
+        status: rename(it.status),
+        history: (it.history || []).map(e => ({ ...e, status: rename(e.status) }))
+      }));
+    }
+  };
+  try {
+    await renameIn(getStore());
+  } catch (err) {
+    console.error(err);
+    alert(`Could not rename "${from}" on every application: ${err.message}\n\nRename it again to finish.`);
+    return;
+  }
+  const cloud = currentMode() === "cloud";
+  let skipped = null;
+  try {
+    await renameIn(cloud ? localStore : syncedCloudStore);
+  } catch (err) {
+    if (!(err instanceof AuthError) && !(err instanceof LockedError)) console.error(err);
+    skipped = err;
+  }
+
+  const filtered = statusFilterEl.value === from;
+  savePipeline(loadPipeline().map(s => (s.name === from ? { ...s, name: to } : s)));
+  saveSavedViews(loadSavedViews().map(v => ({
+    ...v,
+    q: renameStatusInQuery(v.q, from, to),
+    status: v.status === from ? to : v.status
+  })));
+  renderStatusFilter();
+  if (filtered) statusFilterEl.value = to;
+  qEl.value = renameStatusInQuery(qEl.value, from, to);
+  await refreshPipeline();
+  if (skipped) {
+    alert(`Applications saved in ${cloud ? "Local-only" : "Cloud"} mode still say "${from}": ${skipped.message}\n\n"${from}" is added back to the statuses once they're shown, so it can be renamed there too.`);
+  }
+}
+
+async function handlePipelineAction(action, name) {
+  if (action === "rename") return renameStatus(name);
+
+  const steps = loadPipeline().map(s => ({ ...s }));
+  const i = steps.findIndex(s => s.name === name);
+  if (i < 0) return;
+  if (action === "up" || action === "down") {
+    const j = action === "up" ? i - 1 : i + 1;
+    if (j < 0 || j >= steps.length) return;
+    [steps[i], steps[j]] = [steps[j], steps[i]];
+  } else if (action === "start") {
+    steps.forEach((s, k) => { s.start = k === i; });
+  } else if (action === "archive") {
+    steps[i].archived = !steps[i].archived;
+    if (!keepsActiveStatus(steps)) return;
+  }
+  savePipeline(steps);
+  await refreshPipeline();
+}
+
+async function setStatusKind(name, kind) {
+  const steps = loadPipeline().map(s => (s.name === name ? { ...s, kind } : s));
+  if (!keepsActiveStatus(steps)) {
+    await renderPipeline();
+    return;
+  }
+  savePipeline(steps);
+  await refreshPipeline();
+}
+
+/** ---------- Custom fields (per profile) ---------- */
+// Extra fields a profile defines for its applications: salary, location, remote, source…
+// Definitions are kept on this device like the status pipeline. Values are stored on each
+// record under `fields`, keyed by the definition's id, so renaming a field keeps them. Every
+// field gets a search key from its name (salary:>100000, remote:hybrid, has:salary).
+const FIELD_TYPES = { text: "Text", number: "Number", date: "Date", select: "Choice", range: "Currency range" };
+const MAX_FIELD_NAME_LENGTH = 40;
+
+// Parsed once per stored value: table rows and sorting ask for every record
+let fieldDefsCache = { raw: undefined, defs: [] };
+
+function loadFieldDefs(userId = currentUserId()) {
+  const key = FIELDS_PREFIX + userId;
+  const raw = localStorage.getItem(key);
+  if (raw !== fieldDefsCache.raw) {
+    const defs = readJson(key, []);
+    fieldDefsCache = { raw, defs: Array.isArray(defs) ? defs.filter(d => d?.id && d.name && FIELD_TYPES[d.type]) : [] };
+  }
+  return fieldDefsCache.defs;
+}
+function saveFieldDefs(defs, userId = currentUserId()) {
+  localStorage.setItem(FIELDS_PREFIX + userId, JSON.stringify(defs));
+}
+
+// Search key from a field name ("Referral source" -> referral_source), never one already in use
+function fieldKeyFor(name, defs) {
+  const base = String(name)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^[^a-z]+|_+$/g, "") || "field";
+  const taken = key => QUERY_FIELDS.includes(key) || defs.some(d => d.key === key);
+  let key = base;
+  for (let n = 2; taken(key); n++) key = `${base}${n}`;
+  return key;
+}
+
+function customFieldByKey(key) {
+  return loadFieldDefs().find(d => d.key === key) || null;
+}
+
+function isEmptyFieldValue(value) {
+  return value == null || value === "" || (typeof value === "object" && value.min == null && value.max == null);
+}
+
+function fmtFieldValue(def, value) {
+  if (isEmptyFieldValue(value)) return "";
+  if (def.type === "date") return fmtDate(value);
+  if (def.type === "number") return Number(value).toLocaleString();
+  if (def.type === "range") {
+    const [min, max] = [value.min, value.max].map(n => (n == null ? "" : Number(n).toLocaleString()));
+    const span = min && max ? (min === max ? min : `${min}–${max}`) : min ? `${min}+` : `up to ${max}`;
+    return def.currency ? `${span} ${def.currency}` : span;
+  }
+  return String(value);
+}
+
+// Empty values always sort last; choices sort in the order they were defined
+function fieldSortValue(def, value) {
+  if (isEmptyFieldValue(value)) return "";
+  if (def.type === "number") return Number(value);
+  if (def.type === "range") return value.min ?? value.max;
+  if (def.type === "select") {
+    const i = def.options.indexOf(value);
+    return i >= 0 ? i : def.options.length;
+  }
+  return String(value).toLowerCase();
+}
+
+// Text and choice values, for words typed without a field
+function customFieldText(item) {
+  return loadFieldDefs()
+    .filter(d => d.type === "text" || d.type === "select")
+    .map(d => item.fields?.[d.id] || "")
+    .join(" ");
+}
+
+// 120000 or 120k
+function parseAmount(text) {
+  const m = /^\s*(\d+(?:\.\d+)?)\s*(k)?\s*$/i.exec(text);
+  return m ? Number(m[1]) * (m[2] ? 1000 : 1) : null;
+}
+
+// remote:hybrid,onsite matches text; salary:>100000 and deadline:<2026-03-01 compare
+function parseFieldTerm(def, value, quoted, negate) {
+  const term = { field: "custom", def, negate };
+  if (def.type === "text" || def.type === "select") {
+    const values = (quoted ? [value] : value.split(",")).map(v => v.trim().toLowerCase()).filter(Boolean);
+    return { ...term, values };
+  }
+  const [, op = "=", raw] = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+  const target = def.type === "date" ? toIsoDate(raw) : parseAmount(raw);
+  if (target === null || target === "") {
+    return { error: def.type === "date" ? `${def.key}: needs a date like <2026-01-31` : `${def.key}: needs a number like >100000` };
+  }
+  return { ...term, op, target };
+}
+
+function fieldTermMatches(term, value) {
+  if (isEmptyFieldValue(value)) return false;
+  if (term.values) return term.values.some(v => String(value).toLowerCase().includes(v));
+
+  const compare = n => ({
+    ">": n > term.target,
+    ">=": n >= term.target,
+    "<": n < term.target,
+    "<=": n <= term.target,
+    "=": n === term.target
+  })[term.op];
+  if (term.def.type !== "range") return compare(value);
+  // a range matches when some amount in it would
+  const low = value.min ?? value.max;
+  const high = value.max ?? value.min;
+  if (term.op === "=") return low <= term.target && term.target <= high;
+  return compare(term.op.startsWith(">") ? high : low);
+}
+
+// One sortable column per field, right after "Next round"
+function renderFieldHeaders() {
+  tableHeadEl.querySelectorAll("[data-field-col]").forEach(th => th.remove());
+  const anchor = tableHeadEl.querySelector('[data-sort="nextRound"]').closest("th");
+  anchor.insertAdjacentHTML("afterend", loadFieldDefs().map(def => `
+    <th data-field-col><button type="button" class="sortBtn" data-sort="field:${escapeHtml(def.id)}">${escapeHtml(def.name)}</button></th>
+  `).join(""));
+}
+
+function renderFieldCells(it) {
+  return loadFieldDefs().map(def => `<td>${escapeHtml(fmtFieldValue(def, it.fields?.[def.id]))}</td>`).join("");
+}
+
+// The edit modal's inputs, filled from `values`
+function renderFieldInputs(values = {}) {
+  const defs = loadFieldDefs();
+  customFieldsEl.hidden = !defs.length;
+  customFieldsEl.innerHTML = defs.map(def => {
+    const value = values[def.id];
+    const name = escapeHtml(def.name);
+    const attrs = `data-field="${escapeHtml(def.id)}"`;
+
+    if (def.type === "select") {
+      const options = value && !def.options.includes(value) ? [...def.options, value] : def.options;
+      return `
+        <label>${name}
+          <select ${attrs}>
+            <option value="">—</option>
+            ${options.map(o => `<option ${o === value ? "selected" : ""}>${escapeHtml(o)}</option>`).join("")}
+          </select>
+        </label>
+      `;
+    }
+    if (def.type === "range") {
+      const part = (key, label) =>
+        `<input type="number" step="any" min="0" ${attrs} data-part="${key}" placeholder="${label}" aria-label="${name} ${label}" value="${escapeHtml(String(value?.[key] ?? ""))}" />`;
+      return `
+        <label>${name}${def.currency ? ` <span class="muted">(${escapeHtml(def.currency)})</span>` : ""}
+          <span class="rangeInputs">${part("min", "min")} – ${part("max", "max")}</span>
+        </label>
+      `;
+    }
+    const type = def.type === "text" ? `type="text" autocomplete="off"` : def.type === "number" ? `type="number" step="any"` : `type="date"`;
+    return `
+      <label>${name}
+        <input ${type} ${attrs} value="${escapeHtml(String(value ?? ""))}" />
+      </label>
+    `;
+  }).join("");
+}
+
+// -> { [id]: value }, empty fields left out
+function readFieldInputs() {
+  const inputs = [...customFieldsEl.querySelectorAll("[data-field]")];
+  const number = el => (el && el.value !== "" && Number.isFinite(Number(el.value)) ? Number(el.value) : null);
+  const values = {};
+
+  for (const def of loadFieldDefs()) {
+    const own = inputs.filter(el => el.dataset.field === def.id);
+    let value;
+    if (def.type === "range") {
+      let [min, max] = ["min", "max"].map(part => number(own.find(el => el.dataset.part === part)));
+      if (min !== null && max !== null && min > max) [min, max] = [max, min];
+      value = { min, max };
+    } else if (def.type === "number") {
+      value = number(own[0]);
+    } else {
+      value = own[0]?.value.trim();
+    }
+    if (!isEmptyFieldValue(value)) values[def.id] = value;
+  }
+  return values;
+}
+
+function csvFieldColumns() {
+  return loadFieldDefs().flatMap(def => (def.type === "range"
+    ? ["min", "max"].map(part => ({
+      header: `${def.name} ${part}${def.currency ? ` (${def.currency})` : ""}`,
+      value: it => it.fields?.[def.id]?.[part]
+    }))
+    : [{ header: def.name, value: it => it.fields?.[def.id] }]));
+}
+
+// Definitions from another profile (Profile ZIP, moved applications) join the profile's own; a
+// field with the same name is reused. Returns imported id -> id there, for moving values over.
+function importFieldDefs(imported, userId = currentUserId()) {
+  const defs = [...loadFieldDefs(userId)];
+  const ids = new Map();
+  for (const def of Array.isArray(imported) ? imported : []) {
+    if (!def?.id || !def.name || !FIELD_TYPES[def.type]) continue;
+    const same = defs.find(d => d.id === def.id) || defs.find(d => d.name.toLowerCase() === String(def.name).toLowerCase());
+    if (same) {
+      ids.set(def.id, same.id);
+      continue;
+    }
+    defs.push({ ...def, key: fieldKeyFor(def.name, defs), options: Array.isArray(def.options) ? def.options : [] });
+    ids.set(def.id, def.id);
+  }
+  saveFieldDefs(defs, userId);
+  return ids;
+}
+
+// A record's values under the ids `ids` (from importFieldDefs) maps them to
+function remapFields(fields, ids) {
+  return Object.fromEntries(Object.entries(fields || {})
+    .filter(([id]) => ids.has(id))
+    .map(([id, value]) => [ids.get(id), value]));
+}
+
+// Drops the field's value from every record holding one (trash included)
+async function removeFieldValues(id) {
+  for (const it of await loadAllItems()) {
+    if (!it.fields || !(id in it.fields)) continue;
+    const fields = { ...it.fields };
+    delete fields[id];
+    await putItem({ ...it, fields });
+  }
+}
+
+// Fields dialog
+function renderFieldDefs() {
+  const defs = loadFieldDefs();
+  fieldDefList.innerHTML = defs.map((def, i) => {
+    const detail = [
+      FIELD_TYPES[def.type],
+      def.type === "select" ? def.options.join(", ") || "no choices yet" : "",
+      def.type === "range" ? def.currency : "",
+      `search: ${def.key}:`
+    ].filter(Boolean).join(" · ");
+    return `
+      <li>
+        <div class="docHead">
+          <div>
+            <strong>${escapeHtml(def.name)}</strong>
+            <span class="muted">${escapeHtml(detail)}</span>
+          </div>
+          <div class="docActions" data-field-def="${escapeHtml(def.id)}">
+            <button type="button" class="smallBtn" data-field-action="up" title="Move up" ${i ? "" : "disabled"}>↑</button>
+            <button type="button" class="smallBtn" data-field-action="down" title="Move down" ${i < defs.length - 1 ? "" : "disabled"}>↓</button>
+            <button type="button" class="smallBtn" data-field-action="rename">Rename</button>
+            ${def.type === "select" ? `<button type="button" class="smallBtn" data-field-action="options">Choices</button>` : ""}
+            ${def.type === "range" ? `<button type="button" class="smallBtn" data-field-action="currency">Currency</button>` : ""}
+            <button type="button" class="smallBtn" data-field-action="delete">Delete</button>
+          </div>
+        </div>
+      </li>
+    `;
+  }).join("") || `<li class="muted">No custom fields yet.</li>`;
+}
+
+// Choices for a choice field, the currency for a range
+function updateFieldExtra() {
+  const type = fieldTypeEl.value;
+  fieldExtraRow.hidden = type !== "select" && type !== "range";
+  fieldExtraLabel.textContent = type === "select" ? "Choices" : "Currency";
+  fieldExtraEl.placeholder = type === "select" ? "Comma-separated, e.g. Remote, Hybrid, Onsite" : "e.g. EUR";
+}
+
+function openFieldDefs() {
+  fieldDefsForm.reset();
+  updateFieldExtra();
+  renderFieldDefs();
+  fieldDefsModal.showModal();
+  fieldNameEl.focus();
+}
+
+function splitChoices(text) {
+  return [...new Set(String(text || "").split(",").map(s => s.trim()).filter(Boolean))];
+}
+
+function fieldNameTaken(name, exceptId) {
+  const taken = loadFieldDefs().find(d => d.id !== exceptId && d.name.toLowerCase() === name.toLowerCase());
+  if (taken) alert(`There is already a field called "${taken.name}".`);
+  return !!taken;
+}
+
+async function addFieldDef() {
+  const name = fieldNameEl.value.trim().slice(0, MAX_FIELD_NAME_LENGTH);
+  if (!name || fieldNameTaken(name)) return;
+  const type = fieldTypeEl.value;
+  const defs = [...loadFieldDefs()];
+  defs.push({
+    id: uid(),
+    name,
+    key: fieldKeyFor(name, defs),
+    type,
+    options: type === "select" ? splitChoices(fieldExtraEl.value) : [],
+    currency: type === "range" ? fieldExtraEl.value.trim().toUpperCase().slice(0, 8) : ""
+  });
+  saveFieldDefs(defs);
+  fieldDefsForm.reset();
+  updateFieldExtra();
+  renderFieldDefs();
+  await render();
+}
+
+async function handleFieldAction(action, id) {
+  const defs = loadFieldDefs().map(d => ({ ...d }));
+  const i = defs.findIndex(d => d.id === id);
+  if (i < 0) return;
+  const def = defs[i];
+
+  if (action === "up" || action === "down") {
+    const j = action === "up" ? i - 1 : i + 1;
+    if (j < 0 || j >= defs.length) return;
+    [defs[i], defs[j]] = [defs[j], defs[i]];
+  } else if (action === "rename") {
+    const name = prompt(`Rename "${def.name}" to:`, def.name)?.trim().slice(0, MAX_FIELD_NAME_LENGTH);
+    if (!name || name === def.name || fieldNameTaken(name, id)) return;
+    def.name = name;
+    def.key = fieldKeyFor(name, defs.filter(d => d.id !== id));
+  } else if (action === "options") {
+    const text = prompt(`Choices for "${def.name}", comma-separated:`, def.options.join(", "));
+    if (text == null) return;
+    def.options = splitChoices(text);
+  } else if (action === "currency") {
+    const text = prompt(`Currency of "${def.name}" (e.g. EUR, USD; empty for none):`, def.currency || "");
+    if (text == null) return;
+    def.currency = text.trim().toUpperCase().slice(0, 8);
+  } else if (action === "delete") {
+    if (!confirm(`Delete the field "${def.name}"? Its values are removed from every application.`)) return;
+    try {
+      await removeFieldValues(id);
+    } catch (err) {
+      console.error(err);
+      alert(`Could not remove "${def.name}" from every application: ${err.message}`);
+      return;
+    }
+    defs.splice(i, 1);
+  }
+
+  saveFieldDefs(defs);
+  renderFieldDefs();
+  await render();
+}
+
+/** ---------- Saved views (named searches, per profile) ---------- */
+function savedViewsKey() {
+  return SAVED_VIEWS_PREFIX + currentUserId();
+}
+function loadSavedViews() {
+  const views = readJson(savedViewsKey(), []);
+  return Array.isArray(views) ? views : [];
+}
+function saveSavedViews(views) {
+  localStorage.setItem(savedViewsKey(), JSON.stringify(views));
+}
+
+function currentFilters() {
+  return { q: qEl.value.trim(), status: statusFilterEl.value, due: dueFilterEl.value };
+}
+
+// The dropdown always reflects the filters: it shows a view only while they match it exactly
+function renderSavedViews() {
+  const views = loadSavedViews();
+  const f = currentFilters();
+  const active = views.find(v => v.q === f.q && (v.status || "") === f.status && (v.due || "") === f.due);
+
+  savedViewSelect.innerHTML = `<option value="">${views.length ? "Saved views…" : "No saved views"}</option>` +
+    views.map(v => `<option value="${escapeHtml(v.name)}">${escapeHtml(v.name)}</option>`).join("");
+  savedViewSelect.value = active?.name || "";
+  savedViewSelect.disabled = !views.length;
+  deleteViewBtn.hidden = !active;
+}
+
+function applySavedView(name) {
+  const view = loadSavedViews().find(v => v.name === name);
+  if (!view) return;
+  qEl.value = view.q || "";
+  statusFilterEl.value = view.status || "";
+  dueFilterEl.value = view.due || "";
+  render();
+}
+
+function saveCurrentView() {
+  const f = currentFilters();
+  if (!f.q && !f.status && !f.due) {
+    alert("Type a search or pick a filter first.");
+    return;
+  }
+  const name = prompt("Name this view:", savedViewSelect.value || f.q)?.trim();
+  if (!name) return;
+
+  const views = loadSavedViews();
+  const existing = views.findIndex(v => v.name.toLowerCase() === name.toLowerCase());
+  if (existing >= 0 && !confirm(`Replace the saved view "${views[existing].name}"?`)) return;
+
+  const view = { name, ...f };
+  if (existing >= 0) views[existing] = view;
+  else views.push(view);
+  saveSavedViews(views.sort((a, b) => a.name.localeCompare(b.name)));
+  renderSavedViews();
+}
+
+function deleteCurrentView() {
+  const name = savedViewSelect.value;
+  if (!name || !confirm(`Delete the saved view "${name}"?`)) return;
+  saveSavedViews(loadSavedViews().filter(v => v.name !== name));
+  renderSavedViews();
+}
+
+/** ---------- Render (table + per-row files dropdown) ---------- */
+let openFilesMenuJobId = null;
+
+function renderFilesMenu(files, jobId) {
+  if (!files.length) {
+    return `<div class="filesMenu" data-menu="${escapeHtml(jobId)}">
+      <div class="muted">No files uploaded</div>
+    </div>`;
+  }
+
+  const rows = files.map(f => {
+    const label = f.type === "resume" ? "Resume" : f.type === "cover" ? "Cover" : "Portfolio";
+    return `
+      <button type="button" class="smallBtn" data-file-dl="${escapeHtml(jobId)}|${escapeHtml(f.type)}">
+        <span class="filesTag">${label}:</span> ${escapeHtml(f.filename)}
+      </button>
+    `;
+  }).join("");
+
+  return `<div class="filesMenu" data-menu="${escapeHtml(jobId)}">${rows}</div>`;
+}
+
+// jobId -> current attachment records (metadata only), from one listing of the whole profile
+async function listFilesByJob(items) {
+  const byJob = new Map();
+  const ids = new Set(items.map(it => it.id));
+
+  try {
+    for (const f of await cachedFilesForUser()) {
+      if (!ids.has(f.jobId)) continue;
+      if (!byJob.has(f.jobId)) byJob.set(f.jobId, []);
+      byJob.get(f.jobId).push(f);
+    }
+  } catch (err) {
+    console.error(err);
+  }
+  return byJob;
+}
+
+// Attachments of the rows on screen, kept so the Files menu opens without re-rendering
+let lastFilesByJob = new Map();
+
+function renderFilesCell(jobId) {
+  const cell = rowsEl.querySelector(`[data-files-cell="${CSS.escape(jobId)}"]`);
+  if (!cell) return;
+  const files = lastFilesByJob.get(jobId) || [];
+  cell.querySelector("[data-files-menu-wrap]").innerHTML =
+    openFilesMenuJobId === jobId ? renderFilesMenu(files, jobId) : "";
+}
+
+function toggleFilesMenu(jobId) {
+  const previous = openFilesMenuJobId;
+  openFilesMenuJobId = previous === jobId ? null : jobId;
+  if (previous) renderFilesCell(previous);
+  if (openFilesMenuJobId) renderFilesCell(openFilesMenuJobId);
+}
+
+/** ---------- Board view ---------- */
+function currentView() {
+  return localStorage.getItem(VIEW_KEY) === "board" ? "board" : "table";
+}
+
+function applyView() {
+  const board = currentView() === "board";
+  boardEl.hidden = !board;
+  tableView.hidden = board;
+  viewToggleBtn.textContent = board ? "☰ Table view" : "▦ Board view";
+}
+
+function renderCard(it, fileCount) {
+  return `
+    <article class="card" draggable="true" data-card="${escapeHtml(it.id)}" title="Click to edit, drag to change status">
+      <strong>${escapeHtml(it.company)}</strong>
+      <div>${escapeHtml(it.role)}</div>
+      <div class="cardMeta muted">
+        <span>${escapeHtml(fmtDate(it.dateSubmitted))}</span>
+        ${fileCount ? `<span aria-label="Files (${fileCount})">📎 ${fileCount}</span>` : ""}
+      </div>
+    </article>
+  `;
+}
+
+function renderBoard(items, filesByJob) {
+  // archived (or unknown) statuses get a column only while an application still has them
+  const inUse = new Set(items.map(it => it.status).filter(Boolean));
+  const columns = loadPipeline().filter(s => !s.archived || inUse.has(s.name)).map(s => s.name);
+  for (const status of inUse) if (!columns.includes(status)) columns.push(status);
+
+  boardEl.innerHTML = columns.map(status => {
+    const cards = items.filter(it => it.status === status);
+    return `
+      <section class="boardCol" data-drop-status="${escapeHtml(status)}">
+        <header class="boardColHead">
+          <span>${escapeHtml(status)}</span>
+          <span class="muted">${cards.length}</span>
+        </header>
+        <div class="boardCards">
+          ${cards.map(it => renderCard(it, filesByJob.get(it.id)?.length || 0)).join("") || `<div class="muted boardEmpty">Drop here</div>`}
+        </div>
+      </section>
+    `;
+  }).join("");
+}
+
+async function moveToStatus(id, status) {
+  const items = await loadItems();
+  const it = items.find(x => x.id === id);
+  if (!it || it.status === status) return;
+
+  await commitItem({ ...it, status });
+  await render();
+}
+
+/** ---------- Analytics ---------- */
+// Computed from the applications that pass the current search + filters; charts are plain SVG.
+// The funnel, responses and closed rates follow the profile's status pipeline.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_WEEKS = 26;
+
+function analyticsOpen() {
+  return localStorage.getItem(ANALYTICS_KEY) === "1";
+}
+
+// Furthest funnel step the application ever reached (0 = the first)
+function funnelStage(item, funnel) {
+  const seen = [item.status, ...(item.history || []).map(e => e.status)];
+  let stage = Math.max(0, ...seen.map(s => funnel.indexOf(s)));
+  // a submit date or a closed outcome means it was sent, even without an event for the start status
+  const closed = statusesOfKind("closed");
+  if (item.dateSubmitted || seen.some(s => closed.includes(s))) stage = Math.max(stage, funnel.indexOf(startStatus()));
+  return stage;
+}
+
+// the first status change after applying that counts as hearing back
+function responseStatuses() {
+  return [...progressStatuses(), ...statusesOfKind("closed")];
+}
+
+function isoDay(iso) {
+  const d = new Date(`${String(iso).slice(0, 10)}T00:00:00Z`);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function weekStart(d) {
+  return new Date(d.getTime() - ((d.getUTCDay() + 6) % 7) * DAY_MS); // Monday
+}
+
+// Days from submitting to the first response, or null when there is none (yet).
+// The first history event is skipped: it is the status the record was created with,
+// so its time says when it was entered, not when the company answered.
+function daysToFirstResponse(item) {
+  const submitted = isoDay(item.dateSubmitted);
+  if (!submitted) return null;
+  const responses = responseStatuses();
+  const answer = (item.history || []).slice(1)
+    .filter(e => responses.includes(e.status) && isoDay(e.at))
+    .sort((a, b) => String(a.at).localeCompare(String(b.at)))[0];
+  if (!answer) return null;
+  return Math.max(0, Math.round((isoDay(answer.at) - submitted) / DAY_MS));
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function pct(part, whole) {
+  return whole ? Math.round((part / whole) * 100) : null;
+}
+
+function computeAnalytics(items) {
+  const steps = funnelStatuses();
+  const stages = items.map(it => funnelStage(it, steps));
+  const funnel = steps.map((status, i) => {
+    const count = stages.filter(s => s >= i).length;
+    const prev = i ? stages.filter(s => s >= i - 1).length : count;
+    return { status, count, rate: i ? pct(count, prev) : null };
+  });
+
+  // applications per week, from the first to the last submit date (at most MAX_WEEKS)
+  const perWeek = new Map();
+  for (const it of items) {
+    const d = isoDay(it.dateSubmitted);
+    if (!d) continue;
+    const key = weekStart(d).toISOString().slice(0, 10);
+    perWeek.set(key, (perWeek.get(key) || 0) + 1);
+  }
+  const weeks = [];
+  const keys = [...perWeek.keys()].sort();
+  if (keys.length) {
+    const last = isoDay(keys[keys.length - 1]).getTime();
+    const first = Math.max(isoDay(keys[0]).getTime(), last - (MAX_WEEKS - 1) * 7 * DAY_MS);
+    for (let t = first; t <= last; t += 7 * DAY_MS) {
+      const week = new Date(t).toISOString().slice(0, 10);
+      weeks.push({ week, count: perWeek.get(week) || 0 });
+    }
+  }
+
+  const responseDays = items.map(daysToFirstResponse).filter(d => d !== null);
+  // one rate per closed outcome (archived ones only while some application has them)
+  const closed = loadPipeline()
+    .filter(s => s.kind === "closed")
+    .map(s => ({ status: s.name, archived: s.archived, count: items.filter(it => it.status === s.name).length }))
+    .filter(c => !c.archived || c.count)
+    .map(({ status, count }) => ({ status, count, rate: pct(count, items.length) }));
+
+  return {
+    total: items.length,
+    funnel,
+    weeks,
+    medianResponseDays: median(responseDays),
+    responses: responseDays.length,
+    responseStatuses: responseStatuses(),
+    closed
+  };
+}
+
+function renderFunnelChart(funnel) {
+  if (!funnel.length) return `<p class="muted">No active or success statuses in the pipeline.</p>`;
+  const top = Math.max(1, funnel[0].count);
+  const rowH = 34;
+  // room for the longest status name in front of the bars
+  const left = Math.min(160, 20 + 7 * Math.max(...funnel.map(s => s.status.length)));
+  const bars = funnel.map((step, i) => {
+    const w = Math.max(2, Math.round((step.count / top) * 300));
+    const y = i * rowH;
+    const rate = step.rate === null ? "" : ` · ${step.rate}% of ${funnel[i - 1].status}`;
+    return `
+      <g>
+        <title>${escapeHtml(`${step.status}: ${step.count}${rate}`)}</title>
+        <text x="0" y="${y + 20}">${escapeHtml(step.status)}</text>
+        <rect class="bar" x="${left}" y="${y + 6}" width="${w}" height="20" rx="4"></rect>
+        <text x="${left + 6 + w}" y="${y + 20}">${step.count}${escapeHtml(rate)}</text>
+      </g>
+    `;
+  }).join("");
+  return `<svg class="chart" viewBox="0 0 520 ${funnel.length * rowH}" role="img" aria-label="Application funnel">${bars}</svg>`;
+}
+
+function renderWeeklyChart(weeks) {
+  if (!weeks.length) return `<p class="muted">No submit dates yet.</p>`;
+  const height = 120;
+  const max = Math.max(1, ...weeks.map(w => w.count));
+  const slot = 520 / weeks.length;
+  const every = Math.ceil(weeks.length / 8); // keep the date labels from overlapping
+  const bars = weeks.map((w, i) => {
+    const h = Math.round((w.count / max) * (height - 16));
+    const x = i * slot;
+    return `
+      <g>
+        <title>${escapeHtml(`Week of ${w.week}: ${w.count}`)}</title>
+        <rect class="bar" x="${x + 2}" y="${height - h}" width="${Math.max(1, slot - 4)}" height="${h}" rx="2"></rect>
+        ${w.count ? `<text x="${x + slot / 2}" y="${height - h - 3}" text-anchor="middle">${w.count}</text>` : ""}
+        ${i % every ? "" : `<text x="${x + 2}" y="${height + 14}">${escapeHtml(w.week.slice(5))}</text>`}
+      </g>
+    `;
+  }).join("");
+  return `<svg class="chart" viewBox="0 0 520 ${height + 18}" role="img" aria-label="Applications per week">${bars}</svg>`;
+}
+
+function fmtPct(value) {
+  return value === null ? "—" : `${value}%`;
+}
+
+// Last figures shown, for "Export CSV" in the panel
+let lastAnalytics = null;
+
+function renderAnalytics(items) {
+  const a = computeAnalytics(items);
+  lastAnalytics = a;
+
+  if (!a.total) {
+    analyticsBody.innerHTML = `<p class="muted">No applications match the current filters.</p>`;
+    return;
+  }
+
+  const response = a.medianResponseDays === null
+    ? "—"
+    : `${a.medianResponseDays} day(s)`;
+  analyticsBody.innerHTML = `
+    <div class="stats">
+      <div><strong>${a.total}</strong><span class="muted">applications</span></div>
+      <div title="${escapeHtml(`From the submit date to the first ${a.responseStatuses.join(", ")} status (${a.responses} with a response)`)}">
+        <strong>${escapeHtml(response)}</strong><span class="muted">median time to first response</span>
+      </div>
+      ${a.closed.map(c => `<div><strong>${fmtPct(c.rate)}</strong><span class="muted">${escapeHtml(c.status.toLowerCase())} (${c.count})</span></div>`).join("")}
+    </div>
+    <div class="charts">
+      <figure>
+        <figcaption>Funnel</figcaption>
+        ${renderFunnelChart(a.funnel)}
+      </figure>
+      <figure>
+        <figcaption>Applications per week</figcaption>
+        ${renderWeeklyChart(a.weeks)}
+      </figure>
+    </div>
+  `;
+}
+
+function exportAnalyticsCsv() {
+  const a = lastAnalytics;
+  if (!a) return;
+  const rows = [
+    ["Metric", "Label", "Value"],
+    ["Applications", "", a.total],
+    ...a.funnel.map(s => ["Funnel", s.status, s.count]),
+    ...a.funnel.slice(1).map((s, i) => ["Conversion %", `${a.funnel[i].status} → ${s.status}`, s.rate ?? ""]),
+    ["Median days to first response", `${a.responses} response(s)`, a.medianResponseDays ?? ""],
+    ...a.closed.map(c => [`${c.status} %`, `${c.count} application(s)`, c.rate ?? ""]),
+    ...a.weeks.map(w => ["Applications per week", w.week, w.count])
+  ];
+  const csv = rows.map(r => r.map(csvCell).join(",")).join("\n");
+  downloadRecord({ blob: new Blob([csv], { type: "text/csv;charset=utf-8" }), filename: "hiredpath-analytics.csv" });
+}
+
+/** ---------- Sorting + pagination ---------- */
+const PAGE_SIZE = 50;
+
+// Column -> sort value; empty text values always sort last
+const SORT_COLUMNS = {
+  company: it => (it.company || "").toLowerCase(),
+  role: it => (it.role || "").toLowerCase(),
+  status: it => statusNames().indexOf(it.status),
+  dateSubmitted: it => it.dateSubmitted || "",
+  nextActionDate: it => it.nextActionDate || "",
+  nextRound: it => nextRound(it)?.at || "",
+  files: (it, files) => files.length
+};
+const DEFAULT_SORT = { key: "dateSubmitted", dir: "desc" };
+
+// SORT_COLUMNS, plus "field:<id>" for the custom fields
+function sortColumn(key) {
+  if (SORT_COLUMNS[key]) return SORT_COLUMNS[key];
+  const def = loadFieldDefs().find(d => `field:${d.id}` === key);
+  return def ? it => fieldSortValue(def, it.fields?.[def.id]) : null;
+}
+
+function loadSort() {
+  const sort = readJson(SORT_KEY, DEFAULT_SORT);
+  return sortColumn(sort?.key) && ["asc", "desc"].includes(sort.dir) ? sort : DEFAULT_SORT;
+}
+
+function toggleSort(key) {
+  const sort = loadSort();
+  const next = sort.key === key
+    ? { key, dir: sort.dir === "asc" ? "desc" : "asc" }
+    : { key, dir: key === "dateSubmitted" || key === "files" ? "desc" : "asc" };
+  localStorage.setItem(SORT_KEY, JSON.stringify(next));
+  render();
+}
+
+function sortItems(items, sort, filesByJob) {
+  const get = sortColumn(sort.key);
+  const sign = sort.dir === "asc" ? 1 : -1;
+  const value = it => get(it, filesByJob.get(it.id) || []);
+
+  return items
+    .map(it => ({ it, v: value(it) }))
+    .sort((a, b) => {
+      if (a.v === "" && b.v !== "") return 1;
+      if (b.v === "" && a.v !== "") return -1;
+      const cmp = typeof a.v === "number" ? a.v - b.v : String(a.v).localeCompare(String(b.v));
+      return cmp * sign || (a.it.company || "").localeCompare(b.it.company || "");
+    })
+    .map(x => x.it);
+}
+
+function renderSortHeaders(sort) {
+  tableHeadEl.querySelectorAll("[data-sort]").forEach(btn => {
+    const active = btn.dataset.sort === sort.key;
+    btn.closest("th").setAttribute("aria-sort", active ? (sort.dir === "asc" ? "ascending" : "descending") : "none");
+    btn.dataset.dir = active ? sort.dir : "";
+  });
+}
+
+let currentPage = 1;
+let lastFilterSignature = "";
+let printAllRows = false; // Export PDF renders the whole result on one page
+
+function renderPager(total, pages) {
+  pagerEl.hidden = pages <= 1;
+  pageInfoEl.textContent = `Page ${currentPage} of ${pages} · ${total} applications`;
+  prevPageBtn.disabled = currentPage <= 1;
+  nextPageBtn.disabled = currentPage >= pages;
+}
+
+function goToPage(delta) {
+  currentPage += delta;
+  render();
+}
+
+/** ---------- Table ---------- */
+function renderFollowUp(it) {
+  if (!it.nextActionDate && !it.nextAction) return "";
+  return `
+    <div class="followUp ${dueState(it)}">
+      <div class="dueDate">${escapeHtml(fmtDate(it.nextActionDate))}</div>
+      <div>${escapeHtml(it.nextAction || "")}</div>
+    </div>
+  `;
+}
+
+function renderRow(it, files) {
+  const url = normalizeUrl(it.jobLink);
+  return `
+    <tr>
+      <td class="selectCell">
+        <input type="checkbox" data-select="${escapeHtml(it.id)}" ${selectedIds.has(it.id) ? "checked" : ""} aria-label="${escapeHtml(`Select ${it.company} — ${it.role}`)}" />
+      </td>
+      <td>${escapeHtml(it.company)}</td>
+      <td>${escapeHtml(it.role)}</td>
+      <td>${escapeHtml(it.status)}</td>
+      <td>${escapeHtml(fmtDate(it.dateSubmitted))}</td>
+      <td>${renderFollowUp(it)}</td>
+      <td>${renderNextRound(it)}</td>
+      ${renderFieldCells(it)}
+      <td>${url ? `<a href="${escapeHtml(url)}" target="_blank" rel="noreferrer">Link</a>` : ""}</td>
+      <td>${escapeHtml(it.notes || "")}</td>
+
+      <td class="filesCell" data-files-cell="${escapeHtml(it.id)}">
+        <button type="button" class="filesBtn smallBtn" data-files-btn="${escapeHtml(it.id)}" aria-label="Files (${files.length})">
+          📎 ${files.length ? `Files (${files.length})` : "Files"}
+        </button>
+        <div data-files-menu-wrap="${escapeHtml(it.id)}">${openFilesMenuJobId === it.id ? renderFilesMenu(files, it.id) : ""}</div>
+      </td>
+
+      <td class="actionsCell" style="white-space:nowrap;">
+        <button class="smallBtn" data-edit="${escapeHtml(it.id)}">Edit</button>
+        <button class="smallBtn" data-del="${escapeHtml(it.id)}">Del</button>
+      </td>
+    </tr>
+  `;
+}
+
+// Bumped by every render(); a slower, older render that finishes late must not overwrite a newer one
+let renderSeq = 0;
+
+async function render() {
+  const seq = ++renderSeq;
+  applyView();
+  renderStatusFilter();
+  renderFieldHeaders();
+  updateSyncStatus();
+  updateAccountBtn();
+  // nothing of a locked profile is read until it's unlocked
+  if (updateLockUi()) return;
+
+  let items = [];
+  let trashed = 0;
+  try {
+    await purgeExpiredTrash().catch(err => console.warn("Emptying the trash failed:", err));
+    const all = await loadAllItems();
+    items = all.filter(it => !it.deletedAt);
+    trashed = all.length - items.length;
+    // e.g. a status renamed while this mode's records couldn't be read
+    if (ensureStatuses(all.map(it => it.status))) renderStatusFilter();
+  } catch (err) {
+    if (seq !== renderSeq) return;
+    if (!(err instanceof AuthError)) console.error(err);
+    const msg = err instanceof AuthError
+      ? "Sign in to use Cloud mode (or switch to Local-only)."
+      : "Cloud mode error and no offline copy yet. Switch to Local-only or set up /api/jobs.";
+    rowsEl.innerHTML = `<tr><td colspan="${tableHeadEl.querySelectorAll("th").length}">${msg}</td></tr>`;
+    bulkBar.hidden = true;
+    boardEl.innerHTML = `<p class="muted">${msg}</p>`;
+    pagerEl.hidden = true;
+    return;
+  }
+
+  const inTrash = trashed + loadUsers().filter(u => u.deletedAt).length;
+  trashBtn.textContent = inTrash ? `Trash (${inTrash})` : "Trash";
+
+  const query = parseQuery(qEl.value);
+  const st = statusFilterEl.value;
+  const due = dueFilterEl.value;
+  const sort = loadSort();
+
+  // one metadata listing per render: has: filters, the Files column, sorting by files
+  const filesByJob = await listFilesByJob(items);
+  await cachedContactsById(); // contact: search
+  if (seq !== renderSeq) return;
+
+  qErrorEl.textContent = query.errors.join(" · ");
+  qErrorEl.hidden = !query.errors.length;
+  renderSavedViews();
+  renderSortHeaders(sort);
+
+  const filtered = sortItems(
+    items.filter(it => matches(it, query, st, due, filesByJob.get(it.id))),
+    sort,
+    filesByJob
+  );
+  lastFilesByJob = filesByJob;
+  lastFilteredIds = filtered.map(it => it.id);
+  const shown = new Set(lastFilteredIds);
+  for (const id of selectedIds) if (!shown.has(id)) selectedIds.delete(id);
+  renderBulkBar();
+
+  analyticsPanel.hidden = !analyticsOpen();
+  analyticsBtn.setAttribute("aria-pressed", String(analyticsOpen()));
+  if (analyticsOpen()) renderAnalytics(filtered);
+
+  if (currentView() === "board") {
+    pagerEl.hidden = true;
+    renderBoard(filtered, filesByJob);
+    return;
+  }
+
+  // a different search/filter/sort starts again on page 1
+  const signature = JSON.stringify([currentMode(), currentUserId(), qEl.value.trim(), st, due, sort]);
+  if (signature !== lastFilterSignature) currentPage = 1;
+  lastFilterSignature = signature;
+
+  const pageSize = printAllRows ? Infinity : PAGE_SIZE;
+  const pages = Math.max(1, Math.ceil(filtered.length / pageSize));
+  currentPage = Math.min(Math.max(1, currentPage), pages);
+  const pageItems = filtered.slice((currentPage - 1) * pageSize, currentPage * pageSize);
+  renderPager(filtered.length, pages);
+
+  if (!filtered.length) {
+    rowsEl.innerHTML = `<tr><td colspan="${tableHeadEl.querySelectorAll("th").length}" class="muted">No results yet.</td></tr>`;
+    return;
+  }
+  rowsEl.innerHTML = pageItems.map(it => renderRow(it, filesByJob.get(it.id) || [])).join("");
+}
+
+/** ---------- Mutations ---------- */
+// Moves the application (and its files) to the trash, with an undo right away
+async function delItem(id) {
+  const items = await loadItems();
+  const it = items.find(x => x.id === id);
+  if (!it || !(await putItem({ ...it, deletedAt: new Date().toISOString() }))) return;
+
+  await render();
+  showUndo(`Moved ${describeItem(it)} to the trash.`, () => restoreItem(id));
+}
+
+async function openAdd() {
+  editingId = uid(); // create id now so file attachments can bind to it
+  editingRev = undefined;
+  openVersionLists.clear();
+  modalTitle.textContent = "Add application";
+  form.reset();
+  renderStatusSelect();
+  renderFieldInputs();
+  resetJobLinkInfo();
+  renderHistory([]);
+  editingContactIds = [];
+  editingRounds = [];
+  renderRounds();
+  modal.showModal();
+  companyEl.focus();
+  await refreshContactsPanel();
+  await refreshFilePanel(editingId);
+}
+
+async function openEdit(id) {
+  const items = await loadItems();
+  const it = items.find(x => x.id === id);
+  if (!it) return;
+
+  editingId = id;
+  editingRev = it.rev;
+  openVersionLists.clear();
+  modalTitle.textContent = "Edit application";
+  companyEl.value = it.company || "";
+  roleEl.value = it.role || "";
+  renderStatusSelect(it.status);
+  renderFieldInputs(it.fields);
+  dateSubmittedEl.value = it.dateSubmitted || "";
+  nextActionDateEl.value = it.nextActionDate || "";
+  nextActionEl.value = it.nextAction || "";
+  jobLinkEl.value = it.jobLink || "";
+  externalIdEl.value = it.externalId || "";
+  resetJobLinkInfo();
+  if (it.jobLink) showJobLinkInfo(parseJobUrl(it.jobLink));
+  notesEl.value = it.notes || "";
+  statusNoteEl.value = "";
+  renderHistory(it.history);
+  editingContactIds = [...(it.contactIds || [])];
+  editingRounds = (it.rounds || []).map(r => ({ ...r }));
+  renderRounds();
+
+  modal.showModal();
+  companyEl.focus();
+  await refreshContactsPanel();
+  await refreshFilePanel(editingId);
+}
+
+// Shared save path (modal + board): merges onto the stored record, records status history, persists.
+// `next.rev` (when given) is the revision the edit started from, used for conflict detection.
+async function commitItem(next, statusNote = "") {
+  const items = await loadItems();
+  const prev = items.find(x => x.id === next.id) || null;
+
+  const payload = {
+    ...prev,
+    ...next,
+    history: withStatusEvent(prev, next.status, statusNote)
+  };
+
+  return putItem(payload);
+}
+
+async function upsertFromForm() {
+  const company = companyEl.value.trim();
+  const role = roleEl.value.trim();
+  if (!company || !role) return false;
+
+  const next = {
+    id: editingId || uid(),
+    rev: editingRev,
+    company,
+    role,
+    status: statusEl.value,
+    dateSubmitted: dateSubmittedEl.value || "",
+    nextActionDate: nextActionDateEl.value || "",
+    nextAction: nextActionEl.value.trim(),
+    jobLink: normalizeUrl(jobLinkEl.value),
+    jobBoard: parseJobUrl(jobLinkEl.value)?.board || "",
+    externalId: externalIdEl.value.trim(),
+    notes: notesEl.value.trim(),
+    fields: readFieldInputs(),
+    // links to contacts deleted meanwhile are dropped
+    contactIds: editingContactIds.filter(id => contactsById.has(id)),
+    rounds: editingRounds
+  };
+  if (!(await confirmNotDuplicate(next))) return false;
+
+  await commitItem(next, statusNoteEl.value.trim());
+  await render();
+  return true;
+}
+
+// Asks before saving a new record (or changed company/role/link/posting id) that matches another
+async function confirmNotDuplicate(next) {
+  const items = await loadItems();
+  const prev = items.find(x => x.id === next.id);
+  if (prev && DUPLICATE_FIELDS.every(k => (prev[k] || "") === (next[k] || ""))) return true;
+
+  const [match] = findDuplicatesOf(next, items);
+  if (!match) return true;
+  return confirm(`This looks like a duplicate of ${describeItem(match.item)} (${match.item.status}; ${match.reasons.join(", ")}).\n\nOK: save it anyway (merge later with Find duplicates)\nCancel: keep editing`);
+}
+
+/** ---------- Trash (soft delete + undo) ---------- */
+// Deleting an application only stamps `deletedAt`; it stays in the store (files included) until
+// restored, emptied by hand or purged once older than the retention period. Deleted profiles
+// are stamped the same way on their profile entry. The retention period is per device.
+const TRASH_DAYS_OPTIONS = [1, 7, 30, 90, 0]; // 0 = never purge automatically
+const DEFAULT_TRASH_DAYS = 30;
+const UNDO_MS = 8000;
+
+function trashDays() {
+  const n = Number(localStorage.getItem(TRASH_DAYS_KEY) ?? DEFAULT_TRASH_DAYS);
+  return TRASH_DAYS_OPTIONS.includes(n) ? n : DEFAULT_TRASH_DAYS;
+}
+function trashExpired(deletedAt) {
+  const days = trashDays();
+  return days > 0 && Date.now() - Date.parse(deletedAt) > days * DAY_MS;
+}
+// "for 30 days" / "until you empty the trash"
+function trashKeptText() {
+  const days = trashDays();
+  return days ? `for ${days} day${days === 1 ? "" : "s"}` : "until you empty the trash";
+}
+
+// Undo toast: one at a time, a newer deletion replaces the offer
+let undoAction = null;
+let undoTimer = null;
+
+function showUndo(message, action) {
+  clearTimeout(undoTimer);
+  undoAction = action;
+  toastText.textContent = message;
+  toastEl.hidden = false;
+  undoTimer = setTimeout(hideUndo, UNDO_MS);
+}
+function hideUndo() {
+  clearTimeout(undoTimer);
+  undoAction = null;
+  toastEl.hidden = true;
+}
+async function runUndo() {
+  const action = undoAction;
+  hideUndo();
+  if (action) await action();
+}
+
+async function restoreItem(id) {
+  const it = (await loadAllItems()).find(x => x.id === id);
+  if (!it?.deletedAt) return;
+  const { deletedAt, ...rest } = it;
+  await putItem(rest);
+  await render();
+}
+
+// Gone for good: the record and every version of its files
+async function purgeItem(it) {
+  if (!(await removeItem(it))) return;
+  try { await getFileStore().removeForJob({ userId: currentUserId(), jobId: it.id }); } catch {}
+}
+
+// Expired profiles are purged at startup and whenever retention changes, not on every render
+async function purgeExpiredProfiles() {
+  await retryCloudPurges();
+  for (const u of loadUsers().filter(u => u.deletedAt && trashExpired(u.deletedAt))) {
+    // the server rejected deleting its Cloud copy: tried again next time
+    await purgeProfile(u.id).catch(err => console.warn(`Could not purge profile ${u.id}:`, err));
+  }
+}
+
+// Expired applications once per profile + mode per page load (and whenever retention changes)
+const trashChecked = new Set();
+
+async function purgeExpiredTrash({ force = false } = {}) {
+  const scope = `${currentMode()}|${currentUserId()}`;
+  if (trashChecked.has(scope) && !force) return;
+  trashChecked.add(scope);
+  for (const it of (await loadAllItems()).filter(it => it.deletedAt && trashExpired(it.deletedAt))) {
+    await purgeItem(it);
+  }
+}
+
+async function renderTrash() {
+  let items;
+  try {
+    items = (await loadAllItems()).filter(it => it.deletedAt);
+  } catch (err) {
+    console.error(err);
+    trashList.innerHTML = `<li class="muted">Could not load the trash: ${escapeHtml(err.message)}</li>`;
+    return;
+  }
+  const profiles = loadUsers().filter(u => u.deletedAt);
+  trashDaysSelect.value = String(trashDays());
+  emptyTrashBtn.disabled = !items.length && !profiles.length;
+
+  const days = trashDays();
+  const left = deletedAt => {
+    if (!days) return "";
+    const n = Math.max(0, Math.ceil((Date.parse(deletedAt) + days * DAY_MS - Date.now()) / DAY_MS));
+    return `emptied in ${n} day${n === 1 ? "" : "s"}`;
+  };
+  const entry = (kind, id, title, detail, deletedAt) => `
+    <li>
+      <div class="docHead">
+        <div>
+          <strong>${escapeHtml(title)}</strong>
+          <span class="muted">${escapeHtml([detail, `deleted ${fmtEventTime(deletedAt)}`, left(deletedAt)].filter(Boolean).join(" · "))}</span>
+        </div>
+        <div class="docActions" data-trash-kind="${kind}" data-trash-id="${escapeHtml(id)}">
+          <button type="button" class="smallBtn" data-trash-action="restore">Restore</button>
+          <button type="button" class="smallBtn" data-trash-action="purge">Delete forever</button>
+        </div>
+      </div>
+    </li>
+  `;
+
+  const rows = [
+    ...[...items].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+      .map(it => entry("job", it.id, `${it.company || "—"} — ${it.role || "—"}`, it.status, it.deletedAt)),
+    ...profiles.map(u => entry("profile", u.id, u.name, "Profile, with its applications and files", u.deletedAt))
+  ];
+  trashList.innerHTML = rows.join("") || `<li class="muted">The trash is empty.</li>`;
+}
+
+async function openTrash() {
+  trashList.innerHTML = `<li class="muted">Loading…</li>`;
+  trashModal.showModal();
+  await renderTrash();
+}
+
+async function handleTrashAction(action, kind, id) {
+  try {
+    if (kind === "profile") {
+      if (action === "restore") await restoreProfile(id);
+      else if (confirm(`Delete this profile forever? Its applications, contacts and files can’t be restored.\n\n${cloudPurgeText()}`)) await purgeProfile(id);
+    } else if (action === "restore") {
+      await restoreItem(id);
+    } else {
+      const it = (await loadAllItems()).find(x => x.id === id);
+      if (it && confirm(`Delete ${describeItem(it)} and its files forever?`)) await purgeItem(it);
+    }
+  } catch (err) {
+    console.error(err);
+    alert(`Could not update the trash: ${err.message}`);
+  }
+  await renderTrash();
+  await render();
 }
 
-function downloadRecord(record) {
-  const url = URL.createObjectURL(record.blob);
+// What purging a profile does to its Cloud copy, for the confirm texts
+function cloudPurgeText() {
+  return loadSession()
+    ? "The profile’s Cloud copy (applications, files, library and contacts) is deleted too (when you’re offline, as soon as the server can be reached)."
+    : "You’re signed out, so the profile’s Cloud copy (if any) stays on the server. Sign in first to delete that too.";
+}
+
+async function emptyTrash() {
+  const profiles = loadUsers().some(u => u.deletedAt);
+  if (!confirm(`Delete everything in the trash forever?${profiles ? `\n\n${cloudPurgeText()}` : ""}`)) return;
+  try {
+    for (const it of (await loadAllItems()).filter(it => it.deletedAt)) await purgeItem(it);
+    for (const u of loadUsers().filter(u => u.deletedAt)) await purgeProfile(u.id);
+  } catch (err) {
+    console.error(err);
+    alert(`Could not empty the trash: ${err.message}`);
+  }
+  await renderTrash();
+  await render();
+}
+
+/** ---------- Bulk actions (selected rows) ---------- */
+// Row checkboxes select applications; "select all" takes every application matching the current
+// search + filters, not only the page shown. Selected rows that stop matching are dropped on render.
+const selectedIds = new Set();
+let lastFilteredIds = []; // every application the table shows (all pages), from the last render
+
+function renderBulkBar() {
+  const n = selectedIds.size;
+  bulkBar.hidden = !n || currentView() === "board";
+  selectAllEl.checked = n > 0 && n === lastFilteredIds.length;
+  selectAllEl.indeterminate = n > 0 && n < lastFilteredIds.length;
+  if (!n) return;
+
+  bulkCount.textContent = `${n} selected`;
+  bulkStatusSelect.innerHTML = `<option value="">Set status…</option>` +
+    statusNames({ archived: false }).map(s => `<option>${escapeHtml(s)}</option>`).join("");
+  // a locked profile can't take records it has no key for
+  const others = loadUsers().filter(u => !u.deletedAt && u.id !== currentUserId());
+  bulkMoveSelect.innerHTML = `<option value="">${others.length ? "Move to profile…" : "No other profile"}</option>` +
+    others.map(u => `<option value="${escapeHtml(u.id)}" ${isLocked(u.id) ? "disabled" : ""}>${escapeHtml(u.name)}${isLocked(u.id) ? " (locked)" : ""}</option>`).join("");
+  bulkMoveSelect.disabled = !others.length;
+}
+
+function selectAll(checked) {
+  selectedIds.clear();
+  if (checked) lastFilteredIds.forEach(id => selectedIds.add(id));
+  render();
+}
+
+async function selectedItems() {
+  return (await loadItems()).filter(it => selectedIds.has(it.id));
+}
+
+// Runs `action` on each selected application; stops at the first failure
+async function forEachSelected(label, action) {
+  const items = await selectedItems();
+  let done = 0;
+  try {
+    for (const it of items) {
+      await action(it);
+      done++;
+    }
+  } catch (err) {
+    console.error(err);
+    alert(`Could not ${label} every application (${done} of ${items.length} done): ${err.message}`);
+  }
+  await render();
+  return done;
+}
+
+async function bulkSetStatus(status) {
+  const note = prompt(`Status note for ${selectedIds.size} application(s) (optional), e.g. hiring freeze:`, "");
+  if (note == null) return;
+  await forEachSelected("update", async it => {
+    if (it.status !== status || note.trim()) await commitItem({ ...it, status }, note.trim());
+  });
+}
+
+async function bulkAddNote() {
+  const note = prompt(`Note to add to ${selectedIds.size} application(s):`)?.trim();
+  if (!note) return;
+  await forEachSelected("update", it => putItem({ ...it, notes: [it.notes?.trim(), note].filter(Boolean).join("\n") }));
+}
+
+// To the trash, like Del on one row: files stay until it's emptied, one undo brings all back
+async function bulkDelete() {
+  const items = await selectedItems();
+  if (!items.length || !confirm(`Move ${items.length} application(s) and their files to the trash?`)) return;
+
+  const deletedAt = new Date().toISOString();
+  const ids = [];
+  await forEachSelected("delete", async it => {
+    await putItem({ ...it, deletedAt });
+    ids.push(it.id);
+  });
+  showUndo(`Moved ${ids.length} application(s) to the trash.`, async () => {
+    for (const id of ids) await restoreItem(id);
+  });
+}
+
+// Moves the selection, with every attachment version and the linked contacts, to another profile
+// in the same mode. Each application is copied before it is removed here: a failure half-way
+// leaves a copy behind, never a gap.
+async function bulkMove(targetId) {
+  const target = loadUsers().find(u => u.id === targetId);
+  const items = await selectedItems();
+  if (!target || !items.length) return;
+  if (!confirm(`Move ${items.length} application(s) with their files to "${target.name}"?`)) return;
+
+  const userId = currentUserId();
+  const fileStore = getFileStore();
+  const contacts = await loadContactsById();
+  ensureStatuses(items.map(it => it.status), loadPipeline(), targetId);
+  const fieldIds = importFieldDefs(loadFieldDefs(), targetId);
+  // a move that stopped half-way may have copied some of it already: retrying reuses that copy
+  const targetRevs = new Map((await Promise.resolve(getStore().load(targetId))).map(x => [x.id, x.rev]));
+
+  const moved = await forEachSelected("move", async it => {
+    for (const id of it.contactIds || []) {
+      if (contacts.has(id)) await getContactStore().put({ userId: targetId, contact: contacts.get(id) });
+    }
+    const copied = await fileStore.listVersions({ userId: targetId, jobId: it.id });
+    const attachments = [];
+    for (const v of await fileStore.listVersions({ userId, jobId: it.id })) {
+      if (copied.some(c => c.type === v.type && c.filename === v.filename && c.uploadedAt === v.uploadedAt)) continue;
+      const rec = await withBlob(v);
+      if (!rec) continue;
+      attachments.push({
+        ...v,
+        file: new File([rec.blob], v.filename || v.type, { type: v.mime || rec.blob.type, lastModified: v.uploadedAt })
+      });
+    }
+    await putVersions(targetId, it.id, attachments.sort((a, b) => a.uploadedAt - b.uploadedAt));
+    // this profile's revision means nothing over there: a new record, or the earlier copy's revision
+    const { rev: _, ...record } = it;
+    await Promise.resolve(getStore().put(targetId, { ...record, rev: targetRevs.get(it.id), fields: remapFields(it.fields, fieldIds) }));
+
+    await fileStore.removeForJob({ userId, jobId: it.id });
+    await removeItem(it);
+  });
+  if (moved) alert(`Moved ${moved} application(s) to "${target.name}".`);
+}
+
+/** ---------- Duplicates (detect + merge) ---------- */
+// Two applications are duplicates when they share a company + role (compared loosely), a job
+// link, or the board's posting id. Each record yields match keys; records sharing any key group up.
+const COMPANY_SUFFIXES = /\b(inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|ag|sa|plc|bv)\b/g;
+const ROLE_WORDS = { sr: "senior", jr: "junior", snr: "senior", eng: "engineer", engr: "engineer", dev: "developer", mgr: "manager" };
+const DUPLICATE_REASONS = { name: "same company and role", link: "same job link", posting: "same posting id" };
+// editing anything else never re-asks about a duplicate the user already kept
+const DUPLICATE_FIELDS = ["company", "role", "jobLink", "externalId"];
+
+function normalizeWords(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ");
+}
+
+// "Acme, Inc." / "ACME Corp" -> "acme"
+function normalizeCompany(name) {
+  return normalizeWords(name).replace(COMPANY_SUFFIXES, " ").replace(/\s+/g, " ").trim();
+}
+
+// "Sr. Software Eng" -> "senior software engineer"
+function normalizeRole(role) {
+  return normalizeWords(role).split(" ").filter(Boolean).map(w => ROLE_WORDS[w] || w).join(" ");
+}
+
+function duplicateKeys(it) {
+  const keys = [];
+  const company = normalizeCompany(it.company);
+  const role = normalizeRole(it.role);
+  if (company && role) keys.push(`name:${company}|${role}`);
+  if (it.jobLink) keys.push(`link:${bareUrl(it.jobLink)}`);
+  const parsed = parseJobUrl(it.jobLink);
+  const id = it.externalId || parsed?.externalId;
+  // bare requisition numbers repeat across employers, so the id only counts per board or company
+  if (id) keys.push(`posting:${it.jobBoard || parsed?.board || company}|${id}`);
+  return keys;
+}
+
+// Other records matching `item` -> [{ item, reasons }]
+function findDuplicatesOf(item, items) {
+  const mine = new Set(duplicateKeys(item));
+  return items
+    .filter(it => it.id !== item.id)
+    .map(it => ({ item: it, keys: duplicateKeys(it).filter(k => mine.has(k)) }))
+    .filter(m => m.keys.length)
+    .map(({ item: it, keys }) => ({ item: it, reasons: duplicateReasons(keys) }));
+}
+
+function duplicateReasons(keys) {
+  return [...new Set(keys.map(k => DUPLICATE_REASONS[k.slice(0, k.indexOf(":"))]))];
+}
+
+// Groups of 2+ records linked by shared keys (A~B and B~C puts all three together)
+function findDuplicateGroups(items) {
+  const parent = new Map(items.map(it => [it.id, it.id]));
+  const root = id => {
+    while (parent.get(id) !== id) id = parent.get(id);
+    return id;
+  };
+  const firstWithKey = new Map();
+  const keysOf = new Map();
+  for (const it of items) {
+    const keys = duplicateKeys(it);
+    keysOf.set(it.id, keys);
+    for (const k of keys) {
+      if (!firstWithKey.has(k)) firstWithKey.set(k, it.id);
+      else parent.set(root(it.id), root(firstWithKey.get(k)));
+    }
+  }
+
+  const groups = new Map();
+  for (const it of items) {
+    const r = root(it.id);
+    if (!groups.has(r)) groups.set(r, []);
+    groups.get(r).push(it);
+  }
+  return [...groups.values()]
+    .filter(g => g.length > 1)
+    .map(g => {
+      const counts = new Map();
+      for (const k of g.flatMap(it => keysOf.get(it.id))) counts.set(k, (counts.get(k) || 0) + 1);
+      return { items: g, reasons: duplicateReasons([...counts].filter(([, n]) => n > 1).map(([k]) => k)) };
+    });
+}
+
+// Groups the user marked "Not duplicates" stay hidden until another record joins them
+function notDuplicatesKey() {
+  return NOT_DUPLICATES_PREFIX + currentUserId();
+}
+function groupSignature(group) {
+  return group.items.map(it => it.id).sort().join("|");
+}
+function loadNotDuplicates() {
+  const list = readJson(notDuplicatesKey(), []);
+  return new Set(Array.isArray(list) ? list : []);
+}
+function dismissDuplicateGroup(group) {
+  const list = loadNotDuplicates();
+  list.add(groupSignature(group));
+  localStorage.setItem(notDuplicatesKey(), JSON.stringify([...list]));
+}
+
+// How far an application got, for "keep the most advanced status": active steps in pipeline
+// order, then any closed outcome (further along than an open interview), success beats everything
+function statusRank(name) {
+  const status = findStatus(name);
+  if (!status) return -1;
+  const active = loadPipeline().filter(s => s.kind === "active");
+  if (status.kind === "active") return active.indexOf(status);
+  if (status.kind === "closed") return active.length;
+  return active.length + 1 + loadPipeline().filter(s => s.kind === "success").indexOf(status);
+}
+
+function mostAdvancedStatus(items) {
+  return items.reduce((best, it) => (statusRank(it.status) > statusRank(best) ? it.status : best), items[0].status);
+}
+
+// The surviving record with everything worth keeping from the others: notes combined, earliest
+// submit date, most advanced status, every contact, round and status event
+function mergeRecords(keep, others) {
+  const all = [keep, ...others];
+  const firstSet = key => all.map(it => it[key]).find(Boolean) || "";
+  const followUp = all.find(it => it.nextActionDate || it.nextAction) || {};
+  const status = mostAdvancedStatus(all);
+  // records saved before history existed contribute their status as an undated event
+  const history = all.reduce((h, it) => mergeHistory(h, it.history?.length
+    ? it.history
+    : [{ status: it.status, at: it.dateSubmitted || "" }]), []);
+
+  return {
+    ...keep,
+    company: firstSet("company"),
+    role: firstSet("role"),
+    status,
+    dateSubmitted: all.map(it => it.dateSubmitted).filter(Boolean).sort()[0] || "",
+    nextActionDate: followUp.nextActionDate || "",
+    nextAction: followUp.nextAction || "",
+    jobLink: firstSet("jobLink"),
+    jobBoard: firstSet("jobBoard"),
+    externalId: firstSet("externalId"),
+    notes: [...new Set(all.map(it => (it.notes || "").trim()).filter(Boolean))].join("\n\n"),
+    contactIds: [...new Set(all.flatMap(it => it.contactIds || []))],
+    rounds: [...new Map(all.flatMap(it => it.rounds || []).map(r => [r.id, r])).values()],
+    // the kept record's values win, then the others' in order
+    fields: Object.assign({}, ...[...all].reverse().map(it => it.fields)),
+    history: withStatusEvent({ ...keep, history }, status, `Merged ${others.length} duplicate(s)`)
+  };
+}
+
+// Saves the merged record first, then moves the others' attachments over and deletes them
+async function mergeDuplicates(keepId, ids) {
+  const items = await loadItems();
+  const keep = items.find(x => x.id === keepId);
+  const others = ids.filter(id => id !== keepId).map(id => items.find(x => x.id === id)).filter(Boolean);
+  if (!keep || !others.length) return;
+
+  const userId = currentUserId();
+  try {
+    if (!(await putItem(mergeRecords(keep, others)))) return;
+    for (const it of others) {
+      await getFileStore().moveToJob({ userId, fromJobId: it.id, toJobId: keep.id });
+      await removeItem(it);
+    }
+  } catch (err) {
+    console.error(err);
+    alert(`Could not finish the merge: ${err.message}`);
+  }
+  await render();
+}
+
+// Dialog state: the groups as last shown
+let shownDuplicateGroups = [];
+
+async function renderDuplicates() {
+  let items, files;
+  try {
+    items = await loadItems();
+    files = await getFileStore().listForUser({ userId: currentUserId() });
+  } catch (err) {
+    console.error(err);
+    duplicateList.innerHTML = `<li class="muted">Could not look for duplicates: ${escapeHtml(err.message)}</li>`;
+    return;
+  }
+
+  const dismissed = loadNotDuplicates();
+  shownDuplicateGroups = findDuplicateGroups(items).filter(g => !dismissed.has(groupSignature(g)));
+  if (!shownDuplicateGroups.length) {
+    duplicateList.innerHTML = `<li class="muted">No duplicates found.</li>`;
+    return;
+  }
+
+  const fileCount = id => files.filter(f => f.jobId === id).length;
+  duplicateList.innerHTML = shownDuplicateGroups.map((g, i) => {
+    // the record that got furthest is the suggested survivor
+    const suggested = mostAdvancedStatus(g.items);
+    const keep = g.items.find(it => it.status === suggested);
+    return `
+      <li>
+        <div class="muted">${escapeHtml(g.reasons.join(" · "))}</div>
+        ${g.items.map(it => `
+          <label class="choiceRow">
+            <input type="radio" name="keep-${i}" value="${escapeHtml(it.id)}" ${it === keep ? "checked" : ""} />
+            <span>
+              <strong>${escapeHtml(`${it.company || "—"} — ${it.role || "—"}`)}</strong>
+              <span class="muted">${escapeHtml([
+                it.status,
+                it.dateSubmitted,
+                fileCount(it.id) ? `${fileCount(it.id)} file(s)` : "",
+                it.notes ? "notes" : ""
+              ].filter(Boolean).join(" · "))}</span>
+            </span>
+          </label>
+        `).join("")}
+        <div class="docActions">
+          <button type="button" class="smallBtn" data-dupe-merge="${i}">Merge into selected</button>
+          <button type="button" class="smallBtn" data-dupe-dismiss="${i}">Not duplicates</button>
+        </div>
+      </li>
+    `;
+  }).join("");
+}
+
+async function openDuplicates() {
+  duplicateList.innerHTML = `<li class="muted">Looking…</li>`;
+  dupesModal.showModal();
+  await renderDuplicates();
+}
+
+async function handleDuplicateAction(btn) {
+  const group = shownDuplicateGroups[Number(btn.dataset.dupeMerge ?? btn.dataset.dupeDismiss)];
+  if (!group) return;
+
+  if (btn.dataset.dupeDismiss != null) {
+    dismissDuplicateGroup(group);
+  } else {
+    const i = shownDuplicateGroups.indexOf(group);
+    const keepId = dupesForm.querySelector(`input[name="keep-${i}"]:checked`)?.value;
+    const keep = group.items.find(it => it.id === keepId);
+    if (!keep) return;
+    const others = group.items.length - 1;
+    if (!confirm(`Merge ${others} other application(s) into ${describeItem(keep)}?\n\nNotes, dates, contacts, interview rounds and attachments move over; the others are deleted.`)) return;
+    await mergeDuplicates(keep.id, group.items.map(it => it.id));
+  }
+  await renderDuplicates();
+}
+
+/** ---------- Export ---------- */
+// Columns shared by Export CSV, the ZIP applications.csv and Import CSV (aliases help auto-mapping)
+const CSV_COLUMNS = [
+  { key: "company", header: "Company", aliases: ["employer", "organization", "organisation"] },
+  { key: "role", header: "Role", aliases: ["title", "position", "jobtitle"] },
+  { key: "status", header: "Status", aliases: ["stage"] },
+  { key: "dateSubmitted", header: "DateSubmitted", aliases: ["date", "dateapplied", "applied", "submitted"] },
+  { key: "nextActionDate", header: "NextActionDate", aliases: ["followup", "followupdate", "nextdate"] },
+  { key: "nextAction", header: "NextAction", aliases: ["nextstep", "nextsteps", "action"] },
+  { key: "jobLink", header: "JobLink", aliases: ["link", "url", "posting"] },
+  { key: "externalId", header: "ExternalJobId", aliases: ["jobid", "postingid", "requisition", "requisitionid", "reqid"] },
+  { key: "notes", header: "Notes", aliases: ["note", "comments"] },
+  { key: "history", header: "History", format: formatHistory, exportOnly: true }
+];
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  if (/[",\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+// The fixed columns, then one per custom field (a currency range gets a min and a max column)
+function buildCsv(items) {
+  const columns = [
+    ...CSV_COLUMNS.map(c => ({ header: c.header, value: it => (c.format ? c.format(it[c.key]) : it[c.key]) })),
+    ...csvFieldColumns()
+  ];
+  return [
+    columns.map(c => csvCell(c.header)).join(","),
+    ...items.map(it => columns.map(c => csvCell(c.value(it))).join(","))
+  ].join("\n");
+}
+
+// `selected` limits the export to those applications (bulk actions)
+async function exportCsv(selected = null) {
+  const items = selected || await loadItems();
+  const blob = new Blob([buildCsv(items)], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
-  a.download = record.filename || "file";
+  a.download = selected ? "hiredpath-applications-selected.csv" : "hiredpath-applications.csv";
   a.click();
   URL.revokeObjectURL(url);
 }
 
-async function refreshFilePanel(jobId) {
+async function exportPdf() {
+  // print every matching row, not just the current page
+  printAllRows = true;
+  await render();
+  window.print();
+  printAllRows = false;
+  await render();
+}
+
+// `selected` limits the archive to those applications and the contacts linked to them
+async function exportProfileZip(selected = null) {
+  if (!window.JSZip) {
+    alert("JSZip not loaded. Make sure the JSZip <script> is included in index.html.");
+    return;
+  }
+
+  const userId = currentUserId();
+  const items = selected || await loadItems();
+  const contacts = [...(await loadContactsById()).values()]
+    .filter(c => !selected || items.some(it => it.contactIds?.includes(c.id)));
+
+  const versionsByJob = new Map();
+  for (const it of items) {
+    versionsByJob.set(it.id, await getFileStore().listVersions({ userId, jobId: it.id }));
+  }
+  // only worth asking when some attachment actually has history
+  const hasHistory = [...versionsByJob.values()].some(versions =>
+    versions.some(v => versions.filter(o => o.type === v.type).length > 1)
+  );
+  const allVersions = hasHistory && confirm(
+    "Include every attachment version in the ZIP?\n\n" +
+    "OK: all versions (non-current ones go in a versions/ folder).\n" +
+    "Cancel: only the version marked as submitted (or the current one if none is marked)."
+  );
+
+  const zip = new JSZip();
+  const profileFolder = zip.folder(`hiredpath-profile-${userId}`) || zip;
+
+  // Summary CSVs too
+  profileFolder.file("applications.csv", buildCsv(items));
+  profileFolder.file("pipeline.json", JSON.stringify(loadPipeline(), null, 2));
+  if (loadFieldDefs().length) profileFolder.file("fields.json", JSON.stringify(loadFieldDefs(), null, 2));
+  if (contacts.length) profileFolder.file("contacts.csv", buildContactsCsv(contacts, items));
+
+  for (const it of items) {
+    const folderName = safeFolderName(`${it.company || "Company"} — ${it.role || "Role"}`);
+    const f = profileFolder.folder(folderName);
+
+    // linked contacts travel inside the job, so Import Profile ZIP can restore them
+    const linked = contactsOf(it);
+    f.file("job.json", JSON.stringify(linked.length ? { ...it, contacts: linked } : it, null, 2));
+
+    const versions = versionsByJob.get(it.id) || [];
+    const picked = [];
+    for (const type of ["resume", "cover", "portfolio"]) {
+      const ofType = versions.filter(v => v.type === type);
+      const current = ofType.find(v => v.current) || ofType[ofType.length - 1];
+      if (!current) continue;
+      // the current (or submitted) version keeps the top-level name older exports used
+      const main = allVersions ? current : ofType.find(v => v.submitted) || current;
+      picked.push({ rec: main, main: true });
+      if (allVersions) ofType.filter(v => v !== main).forEach(rec => picked.push({ rec, main: false }));
+    }
+
+    const manifest = [];
+    for (const { rec: meta, main } of picked) {
+      const rec = await withBlob(meta);
+      if (!rec) continue;
+      // rec.blob is a Blob
+      const label = rec.type === "resume" ? "resume" : rec.type === "cover" ? "cover-letter" : "portfolio";
+      const ext = rec.filename?.split(".").pop();
+      const base = main ? label : `versions/${label}-${rec.versionId}`;
+      const outName = ext ? `${base}.${ext}` : main ? rec.filename || label : base;
+      f.file(outName, rec.blob);
+      manifest.push({
+        path: outName,
+        type: rec.type,
+        filename: rec.filename,
+        mime: rec.mime,
+        uploadedAt: rec.uploadedAt,
+        label: rec.label || "",
+        current: allVersions ? !!rec.current : true,
+        submitted: !!rec.submitted
+      });
+    }
+    // lets Import Profile ZIP restore the original filenames
+    if (manifest.length) f.file("attachments.json", JSON.stringify(manifest, null, 2));
+  }
+
+  const blob = await zip.generateAsync({ type: "blob" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `hiredpath-profile-${userId}${selected ? "-selected" : ""}.zip`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/** ---------- Export (calendar) ---------- */
+// iCalendar (RFC 5545) text: escape , ; \ and newlines; fold lines longer than 75 octets
+function icsText(value) {
+  return String(value ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+function icsFold(line) {
+  const parts = [];
+  let rest = line;
+  while (new TextEncoder().encode(rest).length > 75) {
+    let cut = 74;
+    while (new TextEncoder().encode(rest.slice(0, cut)).length > 74) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  parts.push(rest);
+  return parts.join("\r\n");
+}
+
+function icsUtc(d) {
+  return d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, ""); // 20260131T140000Z
+}
+
+function icsDate(iso) {
+  return iso.replace(/-/g, ""); // all-day: 20260131
+}
+
+function icsEvent(fields) {
+  return ["BEGIN:VEVENT", ...fields.filter(([, v]) => v).map(([k, v]) => `${k}:${v}`), "END:VEVENT"];
+}
+
+// Upcoming interview rounds (timed) and follow-ups (all-day) of the profile
+function buildCalendar(items, now = new Date()) {
+  const stamp = icsUtc(now);
+  const today = localIsoDate(now);
+  const events = [];
+
+  for (const it of items) {
+    const title = `${it.company || "—"} (${it.role || "—"})`;
+    const url = normalizeUrl(it.jobLink);
+
+    for (const r of it.rounds || []) {
+      const start = roundTime(r);
+      if (!start || start < now || r.outcome === "Cancelled") continue;
+      const end = new Date(start.getTime() + ROUND_MINUTES * 60 * 1000);
+      const description = [
+        r.interviewers && `Interviewers: ${r.interviewers}`,
+        r.prep && `Prep: ${r.prep}`,
+        url
+      ].filter(Boolean).join("\n");
+      events.push(icsEvent([
+        ["UID", `round-${it.id}-${r.id}@hiredpath`],
+        ["DTSTAMP", stamp],
+        ["DTSTART", icsUtc(start)],
+        ["DTEND", icsUtc(end)],
+        ["SUMMARY", icsText(`${r.type} interview: ${title}`)],
+        ["DESCRIPTION", icsText(description)],
+        ["URL", url]
+      ]));
+    }
+
+    if (it.nextActionDate && it.nextActionDate >= today) {
+      const next = new Date(`${it.nextActionDate}T00:00:00Z`);
+      next.setUTCDate(next.getUTCDate() + 1);
+      events.push(icsEvent([
+        ["UID", `followup-${it.id}-${icsDate(it.nextActionDate)}@hiredpath`],
+        ["DTSTAMP", stamp],
+        ["DTSTART;VALUE=DATE", icsDate(it.nextActionDate)],
+        ["DTEND;VALUE=DATE", icsDate(next.toISOString().slice(0, 10))],
+        ["SUMMARY", icsText(`Follow up: ${it.nextAction ? `${it.nextAction} — ${title}` : title}`)],
+        ["URL", url]
+      ]));
+    }
+  }
+
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//HiredPath//Job applications//EN",
+    "CALSCALE:GREGORIAN",
+    "X-WR-CALNAME:HiredPath",
+    ...events.flat(),
+    "END:VCALENDAR"
+  ].map(icsFold).join("\r\n") + "\r\n";
+}
+
+async function exportCalendar() {
+  const items = await loadItems();
+  const ics = buildCalendar(items);
+  if (!ics.includes("BEGIN:VEVENT")) {
+    alert("No upcoming interview rounds or follow-ups to export.");
+    return;
+  }
+  downloadRecord({
+    blob: new Blob([ics], { type: "text/calendar;charset=utf-8" }),
+    filename: `hiredpath-${currentUserId()}.ics`
+  });
+}
+
+/** ---------- Import (Profile ZIP) ---------- */
+const FILE_TYPE_BY_LABEL = { "resume": "resume", "cover-letter": "cover", "portfolio": "portfolio" };
+
+// Import state: the parsed archive waiting for the merge/replace choice
+let pendingZipImport = null;
+
+function closeZipImport() {
+  try { zipImportModal.close(); } catch {}
+  pendingZipImport = null;
+}
+
+// Reads an archive written by exportProfileZip(): every folder holding a job.json
+// becomes one application, and its resume/cover/portfolio files (plus any earlier
+// versions under versions/) become attachments.
+async function readProfileZip(file) {
+  const zip = await JSZip.loadAsync(file);
+  const entries = Object.values(zip.files).filter(e => !e.dir);
+  const jobs = [];
+  let skipped = 0;
+
+  for (const entry of entries.filter(e => /(^|\/)job\.json$/.test(e.name))) {
+    const folder = entry.name.slice(0, -"job.json".length);
+
+    let job;
+    try {
+      job = JSON.parse(await entry.async("string"));
+    } catch {
+      skipped++;
+      continue;
+    }
+    if (!job || typeof job !== "object" || (!job.company && !job.role)) {
+      skipped++;
+      continue;
+    }
+
+    let manifest = [];
+    const manifestEntry = zip.file(`${folder}attachments.json`);
+    if (manifestEntry) {
+      try { manifest = JSON.parse(await manifestEntry.async("string")) || []; } catch {}
+    }
+
+    // direct children of this folder, plus its versions/ subfolder
+    const siblings = entries.filter(e => {
+      const rel = e.name.slice(folder.length);
+      return e.name.startsWith(folder) &&
+        (!rel.includes("/") || /^versions\/[^/]+$/.test(rel)) &&
+        !/^(job|attachments)\.json$/.test(rel);
+    });
+
+    const attachments = [];
+    for (const e of siblings) {
+      const path = e.name.slice(folder.length);
+      const meta = Array.isArray(manifest) ? manifest.find(m => m?.path === path) : null;
+      const baseName = path.replace(/^versions\//, "").replace(/\.[^.]*$/, "").replace(/-v_[\w-]+$/, "");
+      const type = meta?.type || FILE_TYPE_BY_LABEL[baseName];
+      if (!["resume", "cover", "portfolio"].includes(type)) continue;
+
+      const blob = await e.async("blob");
+      const uploadedAt = meta?.uploadedAt || Date.now();
+      attachments.push({
+        type,
+        label: meta?.label || "",
+        // archives from before versioning hold one current file per type
+        current: meta ? meta.current !== false : !path.startsWith("versions/"),
+        submitted: !!meta?.submitted,
+        uploadedAt,
+        file: new File([blob], meta?.filename || path.replace(/^versions\//, ""), {
+          type: meta?.mime || "application/octet-stream",
+          lastModified: uploadedAt
+        })
+      });
+    }
+    attachments.sort((a, b) => a.uploadedAt - b.uploadedAt);
+
+    jobs.push({ job, attachments });
+  }
+
+  // the statuses of the exporting profile, so ones missing here come back with their kind
+  let pipeline = [];
+  const pipelineEntry = entries.find(e => /(^|\/)pipeline\.json$/.test(e.name));
+  if (pipelineEntry) {
+    try { pipeline = JSON.parse(await pipelineEntry.async("string")) || []; } catch {}
+  }
+
+  let fields = [];
+  const fieldsEntry = entries.find(e => /(^|\/)fields\.json$/.test(e.name));
+  if (fieldsEntry) {
+    try { fields = JSON.parse(await fieldsEntry.async("string")) || []; } catch {}
+  }
+
+  return { jobs, skipped, pipeline: Array.isArray(pipeline) ? pipeline : [], fields };
+}
+
+async function importProfileZip(file) {
+  if (!file) return;
+  if (!window.JSZip) {
+    alert("JSZip not loaded. Make sure the JSZip <script> is included in index.html.");
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = await readProfileZip(file);
+  } catch (err) {
+    console.error(err);
+    alert(`Could not read "${file.name}": ${err.message}`);
+    return;
+  }
+
+  if (!parsed.jobs.length) {
+    alert(`No applications found in "${file.name}". Is it a HiredPath profile ZIP?`);
+    return;
+  }
+
+  const fileCount = parsed.jobs.reduce((n, j) => n + j.attachments.length, 0);
+  const parts = [
+    `${parsed.jobs.length} application(s) and ${fileCount} file(s) in "${file.name}".`
+  ];
+  if (parsed.skipped) parts.push(`${parsed.skipped} unreadable job.json file(s) will be skipped.`);
+
+  pendingZipImport = parsed;
+  zipImportSummary.textContent = parts.join(" ");
+  zipImportForm.reset();
+  zipImportModal.showModal();
+}
+
+// Uploads attachments ({ type, file, label, uploadedAt, current, submitted }, oldest first) as
+// versions of one application; resolves to how many were stored
+async function putVersions(userId, jobId, attachments) {
+  const fileStore = getFileStore();
+  const flagged = [];
+  for (const a of attachments) {
+    const rec = await fileStore.put({ userId, jobId, type: a.type, file: a.file, label: a.label, uploadedAt: a.uploadedAt });
+    if (a.current || a.submitted) flagged.push({ a, versionId: rec.versionId });
+  }
+  // put() makes each upload current; re-apply the original current/submitted markers
+  for (const { a, versionId } of flagged) {
+    const slot = { userId, jobId, type: a.type, versionId };
+    if (a.current) await fileStore.setCurrent(slot);
+    if (a.submitted) await fileStore.markSubmitted({ ...slot, submitted: true });
+  }
+  return attachments.length;
+}
+
+// Replacing keeps the profile's old files until everything from the archive is stored, so a
+// failed upload half-way leaves the old data in place rather than an empty profile
+async function applyProfileZip(parsed, mode) {
   const userId = currentUserId();
-  const [r, c, p] = await Promise.all([
-    getFile({ userId, jobId, type: "resume" }),
-    getFile({ userId, jobId, type: "cover" }),
-    getFile({ userId, jobId, type: "portfolio" })
-  ]);
+  const fileStore = getFileStore();
+
+  const items = [];
+  // merging writes one record at a time, over the revision we hold of it (trash included)
+  const revs = new Map(mode === "replace" ? [] : (await loadAllItems()).map(it => [it.id, it.rev]));
+  const replaced = mode === "replace" ? await fileStore.listVersions({ userId }) : [];
+
+  // custom field values follow their definitions to the ids they have here
+  const fieldIds = importFieldDefs(parsed.fields);
+  const incoming = parsed.jobs.map(({ job: { contacts = [], ...job }, attachments }) => ({
+    payload: { ...job, id: job.id || uid(), jobLink: normalizeUrl(job.jobLink), fields: remapFields(job.fields, fieldIds) },
+    contacts: Array.isArray(contacts) ? contacts : [],
+    attachments
+  }));
+
+  let restoredFiles = 0;
+  const restoredContacts = new Set(); // merged by id, even when replacing: unlinked contacts aren't in job.json
+  for (const { payload, contacts, attachments } of incoming) {
+    for (const contact of contacts) {
+      if (!contact?.id || !contact.name || restoredContacts.has(contact.id)) continue;
+      await getContactStore().put({ userId, contact });
+      restoredContacts.add(contact.id);
+      contactsScope = null;
+    }
+
+    if (mode === "replace") {
+      const idx = items.findIndex(x => x.id === payload.id);
+      if (idx >= 0) items[idx] = payload;
+      else items.push(payload);
+    } else {
+      await putItem({ ...payload, rev: revs.get(payload.id) });
+    }
+
+    // merging the same archive twice shouldn't duplicate versions
+    const existing = mode === "replace" ? [] : await fileStore.listVersions({ userId, jobId: payload.id });
+    restoredFiles += await putVersions(userId, payload.id, attachments.filter(a =>
+      !existing.some(v => v.type === a.type && v.filename === a.file.name && v.uploadedAt === a.uploadedAt)));
+  }
 
-  setFileInfo(resumeInfo, r);
-  setFileInfo(coverInfo, c);
-  setFileInfo(portfolioInfo, p);
+  // replacing drops the old trash too: its files go with the rest below
+  if (mode === "replace") await saveItems(items, { emptyTrash: true });
+  ensureStatuses(incoming.map(({ payload }) => payload.status), parsed.pipeline);
 
-  resumeDownload.disabled = !r;
-  coverDownload.disabled = !c;
-  portfolioDownload.disabled = !p;
+  const kept = new Set(items.map(it => it.id));
+  for (const jobId of new Set(replaced.map(v => v.jobId))) {
+    if (!kept.has(jobId)) await fileStore.removeForJob({ userId, jobId });
+  }
+  // an imported application with the same id only loses the versions it had before
+  for (const v of replaced.filter(v => kept.has(v.jobId))) {
+    await fileStore.remove({ userId, jobId: v.jobId, type: v.type, versionId: v.versionId });
+  }
 
-  resumeRemove.disabled = !r;
-  coverRemove.disabled = !c;
-  portfolioRemove.disabled = !p;
+  await render();
+  const counts = [`${parsed.jobs.length} application(s)`, `${restoredFiles} file(s)`];
+  if (restoredContacts.size) counts.push(`${restoredContacts.size} contact(s)`);
+  alert(`Imported ${counts.slice(0, -1).join(", ")} and ${counts[counts.length - 1]}.`);
 }
 
-async function handleUpload(type, file) {
-  if (!file || !editingId) return;
-  if (currentMode() !== "local") {
-    alert("File uploads are local-only for now. Switch to Local mode.");
-    return;
-  }
-  await putFile({ userId: currentUserId(), jobId: editingId, type, file });
-  await refreshFilePanel(editingId);
-}
+/** ---------- Import (CSV) ---------- */
+// Inverse of csvCell(): quoted cells may hold commas, newlines and doubled quotes
+function parseCsv(text) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
 
-resumeFile.addEventListener("change", (e) => handleUpload("resume", e.target.files?.[0]));
-coverFile.addEventListener("change", (e) => handleUpload("cover", e.target.files?.[0]));
-portfolioFile.addEventListener("change", (e) => handleUpload("portfolio", e.target.files?.[0]));
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c !== '"') cell += c;
+      else if (src[i + 1] === '"') { cell += '"'; i++; }
+      else quoted = false;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
 
-resumeDownload.addEventListener("click", async () => {
-  const rec = await getFile({ userId: currentUserId(), jobId: editingId, type: "resume" });
-  if (rec) downloadRecord(rec);
-});
-coverDownload.addEventListener("click", async () => {
-  const rec = await getFile({ userId: currentUserId(), jobId: editingId, type: "cover" });
-  if (rec) downloadRecord(rec);
-});
-portfolioDownload.addEventListener("click", async () => {
-  const rec = await getFile({ userId: currentUserId(), jobId: editingId, type: "portfolio" });
-  if (rec) downloadRecord(rec);
-});
+  return rows.filter(r => r.some(c => c.trim()));
+}
 
-resumeRemove.addEventListener("click", async () => {
-  await deleteFile({ userId: currentUserId(), jobId: editingId, type: "resume" });
-  await refreshFilePanel(editingId);
-});
-coverRemove.addEventListener("click", async () => {
-  await deleteFile({ userId: currentUserId(), jobId: editingId, type: "cover" });
-  await refreshFilePanel(editingId);
-});
-portfolioRemove.addEventListener("click", async () => {
-  await deleteFile({ userId: currentUserId(), jobId: editingId, type: "portfolio" });
-  await refreshFilePanel(editingId);
-});
+const IMPORT_COLUMNS = CSV_COLUMNS.filter(c => !c.exportOnly);
 
-/** ---------- Render (table + per-row files dropdown) ---------- */
-let openFilesMenuJobId = null;
+function normalizeHeader(h) {
+  return String(h || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
 
-function renderFilesMenu(files, jobId) {
-  if (!files.length) {
-    return `<div class="filesMenu" data-menu="${escapeHtml(jobId)}">
-      <div class="muted">No files uploaded</div>
-    </div>`;
+function guessCsvMapping(headers) {
+  const norm = headers.map(normalizeHeader);
+  const mapping = {};
+  for (const col of IMPORT_COLUMNS) {
+    const names = [col.header, ...col.aliases].map(normalizeHeader);
+    const idx = norm.findIndex(h => names.includes(h));
+    mapping[col.key] = idx; // -1 = not imported
   }
+  return mapping;
+}
 
-  const rows = files.map(f => {
-    const label = f.type === "resume" ? "Resume" : f.type === "cover" ? "Cover" : "Portfolio";
-    return `
-      <button type="button" class="smallBtn" data-file-dl="${escapeHtml(jobId)}|${escapeHtml(f.type)}">
-        <span class="filesTag">${label}:</span> ${escapeHtml(f.filename)}
-      </button>
-    `;
-  }).join("");
-
-  return `<div class="filesMenu" data-menu="${escapeHtml(jobId)}">${rows}</div>`;
+function toIsoDate(value) {
+  const v = value.trim();
+  if (!v) return "";
+  if (/^\d{4}-\d{2}-\d{2}$/.test(v)) return v;
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) return null;
+  return localIsoDate(d);
 }
 
-async function hydrateFilesDropdowns(items) {
-  if (currentMode() !== "local") return;
+// Maps one CSV row to a job payload, or returns { error } if it can't be imported
+function csvRowToItem(row, mapping) {
+  const get = key => (mapping[key] >= 0 ? String(row[mapping[key]] ?? "") : "").trim();
 
-  const userId = currentUserId();
-  // For each row placeholder, fetch files and fill menu
-  await Promise.all(items.map(async (it) => {
-    const cell = document.querySelector(`[data-files-cell="${CSS.escape(it.id)}"]`);
-    if (!cell) return;
-    const files = await listFilesForJob({ userId, jobId: it.id });
-    cell.dataset.filesCount = String(files.length);
-    cell.querySelector(`[data-files-btn="${CSS.escape(it.id)}"]`)?.setAttribute(
-      "aria-label",
-      files.length ? `Files (${files.length})` : "Files (0)"
-    );
-    const menuWrap = cell.querySelector(`[data-files-menu-wrap="${CSS.escape(it.id)}"]`);
-    if (menuWrap) {
-      menuWrap.innerHTML = (openFilesMenuJobId === it.id) ? renderFilesMenu(files, it.id) : "";
-    }
-  }));
-}
+  const company = get("company");
+  const role = get("role");
+  if (!company || !role) return { error: "missing company or role" };
 
-async function render() {
-  let items = [];
-  try {
-    items = await loadItems();
-  } catch (err) {
-    console.error(err);
-    rowsEl.innerHTML = `<tr><td colspan="8">Cloud mode error. Switch to Local-only or set up /api/jobs.</td></tr>`;
-    return;
-  }
+  const rawStatus = get("status");
+  const status = rawStatus ? findStatus(rawStatus)?.name : startStatus();
+  if (!status) return { error: `unknown status "${rawStatus}"` };
 
-  const q = qEl.value.trim();
-  const st = statusFilterEl.value;
+  const dateSubmitted = toIsoDate(get("dateSubmitted"));
+  if (dateSubmitted === null) return { error: `unreadable date "${get("dateSubmitted")}"` };
 
-  const filtered = items
-    .filter(it => matches(it, q, st))
-    .sort((a,b) => (b.dateSubmitted || "").localeCompare(a.dateSubmitted || ""));
+  const nextActionDate = toIsoDate(get("nextActionDate"));
+  if (nextActionDate === null) return { error: `unreadable follow-up date "${get("nextActionDate")}"` };
 
-  rowsEl.innerHTML = filtered.map(it => {
-    const url = normalizeUrl(it.jobLink);
-    return `
-      <tr>
-        <td>${escapeHtml(it.company)}</td>
-        <td>${escapeHtml(it.role)}</td>
-        <td>${escapeHtml(it.status)}</td>
-        <td>${escapeHtml(fmtDate(it.dateSubmitted))}</td>
-        <td>${url ? `<a href="${escapeHtml(url)}" target="_blank" rel="noreferrer">Link</a>` : ""}</td>
-        <td>${escapeHtml(it.notes || "")}</td>
-
-        <td class="filesCell" data-files-cell="${escapeHtml(it.id)}">
-          <button type="button" class="filesBtn smallBtn" data-files-btn="${escapeHtml(it.id)}">📎 Files</button>
-          <div data-files-menu-wrap="${escapeHtml(it.id)}"></div>
-        </td>
-
-        <td class="actionsCell" style="white-space:nowrap;">
-          <button class="smallBtn" data-edit="${escapeHtml(it.id)}">Edit</button>
-          <button class="smallBtn" data-del="${escapeHtml(it.id)}">Del</button>
-        </td>
-      </tr>
-    `;
-  }).join("");
+  return {
+    item: {
+      id: uid(),
+      company,
+      role,
+      status,
+      dateSubmitted,
+      nextActionDate,
+      nextAction: get("nextAction"),
+      jobLink: normalizeUrl(get("jobLink")),
+      jobBoard: parseJobUrl(get("jobLink"))?.board || "",
+      externalId: get("externalId") || parseJobUrl(get("jobLink"))?.externalId || "",
+      notes: get("notes"),
+      history: withStatusEvent(null, status, "Imported from CSV")
+    }
+  };
+}
 
-  if (!filtered.length) {
-    rowsEl.innerHTML = `<tr><td colspan="8" class="muted">No results yet.</td></tr>`;
-    return;
-  }
+// Import state: parsed rows + current column mapping while the dialog is open
+let pendingCsvImport = null;
 
-  await hydrateFilesDropdowns(filtered);
+function closeCsvImport() {
+  try { csvImportModal.close(); } catch {}
+  pendingCsvImport = null;
 }
 
-/** ---------- Mutations ---------- */
-async function delItem(id) {
-  const items = await loadItems();
-  const next = items.filter(x => x.id !== id);
-  await saveItems(next);
+// Rows matching a tracked application (or an earlier row) are skipped, or imported with a note
+function validateCsvImport() {
+  const { rows, mapping, existing } = pendingCsvImport;
+  const tracked = new Map(); // match key -> first record with it
+  const track = it => duplicateKeys(it).forEach(k => tracked.has(k) || tracked.set(k, it));
+  existing.forEach(track);
 
-  if (currentMode() === "local") {
-    try { await deleteFilesForJob({ userId: currentUserId(), jobId: id }); } catch {}
-  }
+  return rows.map((row, i) => {
+    const result = { line: i + 2, row, ...csvRowToItem(row, mapping) }; // +2: header + 1-based
+    if (!result.item) return result;
 
-  await render();
+    const keys = duplicateKeys(result.item).filter(k => tracked.has(k));
+    if (keys.length) {
+      const duplicate = `looks like ${describeItem(tracked.get(keys[0]))} (${duplicateReasons(keys).join(", ")})`;
+      if (csvSkipDuplicates.checked) return { line: result.line, row, error: duplicate };
+      result.duplicate = duplicate;
+    }
+    track(result.item);
+    return result;
+  });
 }
 
-async function openAdd() {
-  editingId = uid(); // create id now so file attachments can bind to it
-  modalTitle.textContent = "Add application";
-  form.reset();
-  statusEl.value = "Applied";
-  modal.showModal();
-  companyEl.focus();
-  await refreshFilePanel(editingId);
-}
+function renderCsvImport() {
+  const { headers, mapping, fileName } = pendingCsvImport;
+  const results = validateCsvImport();
+  const ok = results.filter(r => r.item);
+  const bad = results.filter(r => r.error);
 
-async function openEdit(id) {
-  const items = await loadItems();
-  const it = items.find(x => x.id === id);
-  if (!it) return;
+  csvImportSummary.textContent =
+    `${results.length} row(s) in "${fileName}": ${ok.length} ready to import, ${bad.length} will be skipped.`;
 
-  editingId = id;
-  modalTitle.textContent = "Edit application";
-  companyEl.value = it.company || "";
-  roleEl.value = it.role || "";
-  statusEl.value = it.status || "Applied";
-  dateSubmittedEl.value = it.dateSubmitted || "";
-  jobLinkEl.value = it.jobLink || "";
-  notesEl.value = it.notes || "";
+  csvMapping.innerHTML = IMPORT_COLUMNS.map(col => `
+    <label>${escapeHtml(col.header)}
+      <select data-csv-map="${escapeHtml(col.key)}">
+        <option value="-1">(don’t import)</option>
+        ${headers.map((h, i) => `<option value="${i}" ${mapping[col.key] === i ? "selected" : ""}>${escapeHtml(h || `Column ${i + 1}`)}</option>`).join("")}
+      </select>
+    </label>
+  `).join("");
 
-  modal.showModal();
-  companyEl.focus();
-  await refreshFilePanel(editingId);
+  csvPreviewHead.innerHTML = `<tr><th>Row</th>${IMPORT_COLUMNS.map(c => `<th>${escapeHtml(c.header)}</th>`).join("")}</tr>`;
+  // valid rows preview the normalized values, skipped rows the raw cells
+  const cell = (r, key) => r.item ? r.item[key] : (mapping[key] >= 0 ? r.row[mapping[key]] : "");
+  csvPreviewRows.innerHTML = results.slice(0, 8).map(r => `
+    <tr class="${r.error ? "invalidRow" : ""}">
+      <td>${r.line}</td>
+      ${IMPORT_COLUMNS.map(c => `<td>${escapeHtml(cell(r, c.key) || "")}</td>`).join("")}
+    </tr>
+  `).join("");
+
+  csvIssues.innerHTML = results
+    .filter(r => r.error || r.duplicate)
+    .map(r => `<li>Row ${r.line}: ${escapeHtml(r.error || `${r.duplicate}, imported anyway (merge it later with Find duplicates)`)}</li>`)
+    .join("");
+
+  csvImportBtn.textContent = `Import ${ok.length} row(s)`;
+  csvImportBtn.disabled = !ok.length;
 }
 
-async function upsertFromForm() {
-  const company = companyEl.value.trim();
-  const role = roleEl.value.trim();
-  if (!company || !role) return;
+async function importCsv(file) {
+  if (!file) return;
 
-  const items = await loadItems();
-  const payload = {
-    id: editingId || uid(),
-    company,
-    role,
-    status: statusEl.value,
-    dateSubmitted: dateSubmittedEl.value || "",
-    jobLink: normalizeUrl(jobLinkEl.value),
-    notes: notesEl.value.trim()
+  const rows = parseCsv(await file.text());
+  if (rows.length < 2) {
+    alert(`"${file.name}" has no data rows. The first row must hold the column names.`);
+    return;
+  }
+
+  const [headers, ...data] = rows;
+  pendingCsvImport = {
+    fileName: file.name,
+    headers,
+    rows: data,
+    mapping: guessCsvMapping(headers),
+    existing: await loadItems()
   };
+  renderCsvImport();
+  csvImportModal.showModal();
+}
 
-  const idx = items.findIndex(x => x.id === payload.id);
-  if (idx >= 0) items[idx] = payload;
-  else items.push(payload);
+async function applyCsvImport() {
+  const newItems = validateCsvImport().filter(r => r.item).map(r => r.item);
+  if (!newItems.length) return;
 
-  await saveItems(items);
+  // one new record each: replacing the whole list would overwrite edits made elsewhere meanwhile
+  for (const item of newItems) await putItem(item);
   await render();
+  alert(`Imported ${newItems.length} application(s).`);
 }
 
-/** ---------- Export ---------- */
-function csvCell(v) {
-  const s = String(v ?? "");
-  if (/[",\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
-  return s;
-}
-
-async function exportCsv() {
-  const items = await loadItems();
-  const headers = ["Company","Role","Status","DateSubmitted","JobLink","Notes"];
-  const lines = [
-    headers.join(","),
-    ...items.map(it => [
-      it.company, it.role, it.status, it.dateSubmitted, it.jobLink, it.notes
-    ].map(csvCell).join(","))
-  ];
-  const blob = new Blob([lines.join("\n")], { type: "text/csv;charset=utf-8" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = "hiredpath-applications.csv";
-  a.click();
-  URL.revokeObjectURL(url);
+/** ---------- Follow-up reminders (browser notifications) ---------- */
+function remindersEnabled() {
+  return localStorage.getItem(REMINDERS_KEY) === "on"
+    && "Notification" in window
+    && Notification.permission === "granted";
 }
 
-async function exportPdf() {
-  await render();
-  window.print();
+function updateRemindersBtn() {
+  remindersBtn.textContent = remindersEnabled() ? "🔔 Reminders on" : "🔔 Reminders off";
 }
 
-async function exportProfileZip() {
-  if (currentMode() !== "local") {
-    alert("ZIP export currently works in Local mode (files are stored locally).");
+async function toggleReminders() {
+  if (!("Notification" in window)) {
+    alert("This browser doesn’t support notifications.");
     return;
   }
-  if (!window.JSZip) {
-    alert("JSZip not loaded. Make sure the JSZip <script> is included in index.html.");
+  if (remindersEnabled()) {
+    localStorage.removeItem(REMINDERS_KEY);
+    updateRemindersBtn();
     return;
   }
 
-  const userId = currentUserId();
-  const items = await loadItems();
-
-  const zip = new JSZip();
-  const profileFolder = zip.folder(`hiredpath-profile-${userId}`) || zip;
-
-  // Summary CSV too
-  const headers = ["Company","Role","Status","DateSubmitted","JobLink","Notes"];
-  const lines = [
-    headers.join(","),
-    ...items.map(it => [
-      it.company, it.role, it.status, it.dateSubmitted, it.jobLink, it.notes
-    ].map(csvCell).join(","))
-  ];
-  profileFolder.file("applications.csv", lines.join("\n"));
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") {
+    alert("Notifications are blocked for this site. Allow them in your browser settings to get reminders.");
+    return;
+  }
+  localStorage.setItem(REMINDERS_KEY, "on");
+  updateRemindersBtn();
+  await notifyDueFollowUps();
+}
 
-  for (const it of items) {
-    const folderName = safeFolderName(`${it.company || "Company"} — ${it.role || "Role"}`);
-    const f = profileFolder.folder(folderName);
+// Called once on startup: one notification summarizing what is due or overdue
+async function notifyDueFollowUps() {
+  if (!remindersEnabled() || isLocked()) return;
 
-    f.file("job.json", JSON.stringify(it, null, 2));
+  const items = await loadItems();
+  const due = items.filter(it => matchesDue(it, "due"));
+  if (!due.length) return;
 
-    const files = await listFilesForJob({ userId, jobId: it.id });
-    for (const rec of files) {
-      // rec.blob is a Blob
-      const label = rec.type === "resume" ? "resume" : rec.type === "cover" ? "cover-letter" : "portfolio";
-      const ext = rec.filename?.split(".").pop();
-      const outName = ext ? `${label}.${ext}` : rec.filename || label;
-      f.file(outName, rec.blob);
-    }
-  }
+  const overdue = due.filter(it => dueState(it) === "overdue").length;
+  const names = due.slice(0, 3).map(it => `${it.company} — ${it.nextAction || it.role}`);
+  if (due.length > 3) names.push(`+${due.length - 3} more`);
 
-  const blob = await zip.generateAsync({ type: "blob" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = `hiredpath-profile-${userId}.zip`;
-  a.click();
-  URL.revokeObjectURL(url);
+  const n = new Notification(
+    overdue ? `HiredPath: ${overdue} overdue follow-up(s)` : `HiredPath: ${due.length} follow-up(s) due today`,
+    { body: names.join("\n"), tag: `hiredpath-due-${currentUserId()}` }
+  );
+  n.onclick = () => {
+    window.focus();
+    dueFilterEl.value = "due";
+    render();
+  };
 }
 
 /** ---------- Events ---------- */
 addBtn.addEventListener("click", openAdd);
-exportCsvBtn.addEventListener("click", exportCsv);
+exportCsvBtn.addEventListener("click", () => exportCsv());
 exportPdfBtn.addEventListener("click", exportPdf);
-exportZipBtn.addEventListener("click", exportProfileZip);
+exportIcsBtn.addEventListener("click", exportCalendar);
+exportZipBtn.addEventListener("click", () => exportProfileZip());
 
-qEl.addEventListener("input", render);
+importZipBtn.addEventListener("click", () => importZipFile.click());
+importZipFile.addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  importZipFile.value = ""; // allow picking the same file again
+  await importProfileZip(file);
+});
+zipImportCancelBtn.addEventListener("click", closeZipImport);
+
+libraryBtn.addEventListener("click", openLibrary);
+libraryFile.addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  libraryFile.value = "";
+  await addToLibrary(file);
+});
+libraryList.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-doc-action]");
+  if (!btn) return;
+  handleLibraryAction(btn.dataset.docAction, btn.closest(".docActions").dataset.hash);
+});
+libraryAttachBtn.addEventListener("click", attachFromLibrary);
+
+// Find duplicates
+duplicatesBtn.addEventListener("click", openDuplicates);
+duplicateList.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-dupe-merge], [data-dupe-dismiss]");
+  if (btn) handleDuplicateAction(btn);
+});
+
+fieldsBtn.addEventListener("click", openFieldDefs);
+fieldTypeEl.addEventListener("change", updateFieldExtra);
+addFieldBtn.addEventListener("click", addFieldDef);
+// Enter adds the field instead of closing the dialog
+fieldDefsForm.addEventListener("keydown", (e) => {
+  if (e.key !== "Enter" || !e.target.matches("input")) return;
+  e.preventDefault();
+  addFieldDef();
+});
+fieldDefList.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-field-action]");
+  if (btn) handleFieldAction(btn.dataset.fieldAction, btn.closest("[data-field-def]").dataset.fieldDef);
+});
+
+pipelineBtn.addEventListener("click", openPipeline);
+addStatusBtn.addEventListener("click", addStatus);
+pipelineList.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-status-action]");
+  if (btn) handlePipelineAction(btn.dataset.statusAction, btn.closest("[data-status]").dataset.status);
+});
+pipelineList.addEventListener("change", (e) => {
+  const select = e.target.closest("[data-status-kind]");
+  if (select) setStatusKind(select.closest("[data-status]").dataset.status, select.value);
+});
+
+importCsvBtn.addEventListener("click", () => importCsvFile.click());
+importCsvFile.addEventListener("change", async (e) => {
+  const file = e.target.files?.[0];
+  importCsvFile.value = "";
+  await importCsv(file);
+});
+csvMapping.addEventListener("change", (e) => {
+  const key = e.target?.dataset?.csvMap;
+  if (!key || !pendingCsvImport) return;
+  pendingCsvImport.mapping[key] = Number(e.target.value);
+  renderCsvImport();
+});
+csvSkipDuplicates.addEventListener("change", () => {
+  if (pendingCsvImport) renderCsvImport();
+});
+csvImportCancelBtn.addEventListener("click", closeCsvImport);
+csvImportForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  if (!pendingCsvImport) return;
+  try {
+    await applyCsvImport();
+  } catch (err) {
+    console.error(err);
+    alert(`Import failed: ${err.message}`);
+  }
+  closeCsvImport();
+});
+zipImportForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const parsed = pendingZipImport;
+  const mode = zipImportForm.elements.zipImportMode.value;
+  closeZipImport();
+  if (!parsed) return;
+
+  if (mode === "replace" && !confirm("Replace all applications in this profile with the imported ones?")) return;
+  try {
+    await applyProfileZip(parsed, mode);
+  } catch (err) {
+    console.error(err);
+    alert(`Import failed: ${err.message}`);
+  }
+});
+
+// typing only re-renders once it pauses
+let searchTimer = null;
+qEl.addEventListener("input", () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(render, 200);
+});
+tableHeadEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-sort]");
+  if (btn) toggleSort(btn.dataset.sort);
+});
+prevPageBtn.addEventListener("click", () => goToPage(-1));
+nextPageBtn.addEventListener("click", () => goToPage(1));
 statusFilterEl.addEventListener("change", render);
+dueFilterEl.addEventListener("change", render);
+savedViewSelect.addEventListener("change", () => applySavedView(savedViewSelect.value));
+saveViewBtn.addEventListener("click", saveCurrentView);
+deleteViewBtn.addEventListener("click", deleteCurrentView);
+remindersBtn.addEventListener("click", toggleReminders);
+
+// Row checkboxes + bulk actions
+rowsEl.addEventListener("change", (e) => {
+  const id = e.target.dataset?.select;
+  if (!id) return;
+  if (e.target.checked) selectedIds.add(id);
+  else selectedIds.delete(id);
+  renderBulkBar();
+});
+selectAllEl.addEventListener("change", () => selectAll(selectAllEl.checked));
+bulkStatusSelect.addEventListener("change", async () => {
+  const status = bulkStatusSelect.value;
+  bulkStatusSelect.value = "";
+  if (status) await bulkSetStatus(status);
+});
+bulkMoveSelect.addEventListener("change", async () => {
+  const targetId = bulkMoveSelect.value;
+  bulkMoveSelect.value = "";
+  if (targetId) await bulkMove(targetId);
+});
+bulkNoteBtn.addEventListener("click", bulkAddNote);
+bulkDeleteBtn.addEventListener("click", bulkDelete);
+bulkCsvBtn.addEventListener("click", async () => exportCsv(await selectedItems()));
+bulkZipBtn.addEventListener("click", async () => exportProfileZip(await selectedItems()));
+bulkClearBtn.addEventListener("click", () => selectAll(false));
 
 rowsEl.addEventListener("click", async (e) => {
   const edit = e.target?.dataset?.edit;
   const del = e.target?.dataset?.del;
-  const filesBtn = e.target?.dataset?.filesBtn;
 
   // Files dropdown button
-  if (e.target?.dataset?.filesBtn) {
-    const jobId = e.target.dataset.filesBtn;
-    openFilesMenuJobId = (openFilesMenuJobId === jobId) ? null : jobId;
-    await render();
+  const filesBtn = e.target.closest?.("[data-files-btn]");
+  if (filesBtn) {
+    toggleFilesMenu(filesBtn.dataset.filesBtn);
     return;
   }
 
@@ -606,8 +5325,7 @@ rowsEl.addEventListener("click", async (e) => {
   const dl = e.target?.dataset?.fileDl;
   if (dl) {
     const [jobId, type] = dl.split("|");
-    const rec = await getFile({ userId: currentUserId(), jobId, type });
-    if (rec) downloadRecord(rec);
+    await downloadAttachment(jobId, type);
     return;
   }
 
@@ -619,29 +5337,196 @@ document.addEventListener("click", (e) => {
   // close open files menu if click outside
   if (!openFilesMenuJobId) return;
   const inside = e.target.closest?.(`[data-files-cell="${CSS.escape(openFilesMenuJobId)}"]`);
-  if (!inside) {
-    openFilesMenuJobId = null;
-    render();
-  }
+  if (!inside) toggleFilesMenu(openFilesMenuJobId);
 });
 
 form.addEventListener("submit", async (e) => {
   e.preventDefault();
-  await upsertFromForm();
+  try {
+    if (!(await upsertFromForm())) return;
+  } catch (err) {
+    console.error(err);
+    alert(`Could not save the application: ${err.message}`);
+    return;
+  }
   closeModal();
 });
 
+// Contacts (edit modal + contact dialog)
+contactLinkBtn.addEventListener("click", linkPickedContact);
+contactNewBtn.addEventListener("click", () => openContactEditor());
+jobContactsEl.addEventListener("click", (e) => {
+  const edit = e.target.closest("[data-contact-edit]");
+  if (edit) openContactEditor(edit.dataset.contactEdit);
+  const unlink = e.target.closest("[data-contact-unlink]");
+  if (unlink) unlinkContact(unlink.dataset.contactUnlink);
+});
+contactForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  await saveContactFromForm();
+});
+contactCancelBtn.addEventListener("click", () => contactModal.close());
+contactDeleteBtn.addEventListener("click", deleteEditingContact);
+
+// Interview rounds (edit modal + round dialog)
+addRoundBtn.addEventListener("click", () => openRoundEditor());
+roundListEl.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-round-action]");
+  if (btn) handleRoundAction(btn.dataset.roundAction, btn.closest("[data-round]").dataset.round);
+});
+roundForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  saveRoundFromForm();
+});
+roundCancelBtn.addEventListener("click", () => roundModal.close());
+
 // Profiles + mode
 newProfileBtn.addEventListener("click", createProfile);
 deleteProfileBtn.addEventListener("click", deleteCurrentProfile);
-profileSelect.addEventListener("change", render);
-modeSelect.addEventListener("change", render);
+
+// Trash + undo
+trashBtn.addEventListener("click", openTrash);
+trashList.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-trash-action]");
+  if (!btn) return;
+  const { trashKind, trashId } = btn.closest(".docActions").dataset;
+  handleTrashAction(btn.dataset.trashAction, trashKind, trashId);
+});
+trashDaysSelect.addEventListener("change", async () => {
+  localStorage.setItem(TRASH_DAYS_KEY, trashDaysSelect.value);
+  await purgeExpiredProfiles();
+  await purgeExpiredTrash({ force: true });
+  await renderTrash();
+  await render();
+});
+emptyTrashBtn.addEventListener("click", emptyTrash);
+toastUndoBtn.addEventListener("click", runUndo);
+// switching profiles locks them all again: on a shared device the next person can't switch back in
+profileSelect.addEventListener("change", lockProfiles);
+modeSelect.addEventListener("change", async () => {
+  if (currentMode() === "cloud" && !loadSession()) openAuth();
+  await render();
+});
+
+// Cloud sync: replay queued edits when the connection comes back (or on click)
+async function retrySync() {
+  if (currentMode() !== "cloud") return;
+  if (!loadSession()) {
+    openAuth();
+    return;
+  }
+  const userId = currentUserId();
+  if (!(await flushQueue(userId)) && syncState === "error") await offerToDropFailedOp(userId);
+  await render();
+}
+syncStatusBtn.addEventListener("click", retrySync);
+
+// An edit the server keeps rejecting (too large, invalid...) would hold back everything queued after it
+async function offerToDropFailedOp(userId) {
+  const [op] = cloudCache.queue(userId);
+  if (!op) return;
+  const what = op.op === "put" ? `Saving ${describeItem(op.item)}`
+    : op.op === "remove" ? "Deleting an application"
+    : "Replacing all applications";
+  if (!confirm(`${what} keeps failing: ${syncError?.message || "unknown error"}.\n\nOK: discard this change and sync the rest (the Cloud version is kept)\nCancel: keep it and try again later`)) return;
+  cloudCache.saveQueue(userId, cloudCache.queue(userId).filter(o => o.seq !== op.seq));
+  await flushQueue(userId);
+}
+
+// Accounts (Cloud mode)
+accountBtn.addEventListener("click", async () => {
+  if (!loadSession()) {
+    openAuth();
+    return;
+  }
+  if (!confirm("Sign out of Cloud mode on this device?")) return;
+  clearSession();
+  await render();
+});
+authCancelBtn.addEventListener("click", () => {
+  try { authModal.close(); } catch {}
+});
+authForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  signIn("login");
+});
+authRegisterBtn.addEventListener("click", () => {
+  if (authForm.reportValidity()) signIn("register");
+});
+
+// Passphrase lock (Local mode)
+lockForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  unlockProfile();
+});
+lockBtn.addEventListener("click", lockProfiles);
+passphraseBtn.addEventListener("click", openPassphrase);
+passphraseForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  savePassphrase();
+});
+removePassphraseBtn.addEventListener("click", removePassphrase);
+passphraseCancelBtn.addEventListener("click", () => {
+  try { passphraseModal.close(); } catch {}
+});
+window.addEventListener("online", retrySync);
+window.addEventListener("offline", () => setSyncState("offline"));
+
+// Board: click a card to edit, drag it onto another column to change status
+viewToggleBtn.addEventListener("click", () => {
+  localStorage.setItem(VIEW_KEY, currentView() === "board" ? "table" : "board");
+  render();
+});
+
+analyticsBtn.addEventListener("click", () => {
+  localStorage.setItem(ANALYTICS_KEY, analyticsOpen() ? "0" : "1");
+  render();
+});
+analyticsCsvBtn.addEventListener("click", exportAnalyticsCsv);
+
+boardEl.addEventListener("click", (e) => {
+  const id = e.target.closest?.("[data-card]")?.dataset.card;
+  if (id) openEdit(id);
+});
+boardEl.addEventListener("dragstart", (e) => {
+  const card = e.target.closest?.("[data-card]");
+  if (!card) return;
+  e.dataTransfer.setData("text/plain", card.dataset.card);
+  e.dataTransfer.effectAllowed = "move";
+  card.classList.add("dragging");
+});
+boardEl.addEventListener("dragend", (e) => {
+  e.target.closest?.("[data-card]")?.classList.remove("dragging");
+});
+boardEl.addEventListener("dragover", (e) => {
+  const col = e.target.closest?.("[data-drop-status]");
+  if (!col) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = "move";
+  boardEl.querySelectorAll(".dropTarget").forEach(c => c !== col && c.classList.remove("dropTarget"));
+  col.classList.add("dropTarget");
+});
+boardEl.addEventListener("dragleave", (e) => {
+  const col = e.target.closest?.("[data-drop-status]");
+  if (col && !col.contains(e.relatedTarget)) col.classList.remove("dropTarget");
+});
+boardEl.addEventListener("drop", async (e) => {
+  const col = e.target.closest?.("[data-drop-status]");
+  if (!col) return;
+  e.preventDefault();
+  col.classList.remove("dropTarget");
+  const id = e.dataTransfer.getData("text/plain");
+  if (id) await moveToStatus(id, col.dataset.dropStatus);
+});
 
 /** ---------- Init ---------- */
 (async function main() {
   try {
     populateProfileSelect();
+    updateRemindersBtn();
     await render();
+    await purgeExpiredProfiles().catch(err => console.warn("Emptying the trash failed:", err));
+    await notifyDueFollowUps().catch(err => console.warn("Reminders failed:", err));
   } catch (err) {
     console.error(err);
     // Fail loud (so you don’t get “nothing works” silently)
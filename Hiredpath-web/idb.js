@@ -1,118 +1,566 @@
-// idb.js — IndexedDB helper for local-only file storage
-// Stores files by (userId, jobId, type): resume | cover | portfolio
+// idb.js — IndexedDB helper for local-only storage
+// Stores files by (userId, jobId, type): resume | cover | portfolio, one record per uploaded version
+// Stores each distinct document once per user in a library, keyed by SHA-256; file versions point at it
+// Stores job records by (userId, id)
+// Stores contacts (recruiters, referrers, …) by (userId, id); jobs link to them through contactIds
+// Profiles with a passphrase hand over already-encrypted records and blobs (see vault.js)
+//
+// Schema changes go through MIGRATIONS: one step per version, run in order inside the
+// upgrade transaction, so a database at any older version is brought up to DB_VERSION.
+// To change the schema: bump DB_VERSION and add the matching step (never edit old steps).
 
 const DB_NAME = "hiredpath_db_v1";
-const DB_VERSION = 1;
+const DB_VERSION = 5;
 const STORE = "files";
+const JOBS = "jobs";
+const DOCS = "docs";
+const CONTACTS = "contacts";
+
+// Local mode kept jobs in localStorage under this prefix before v2
+const LEGACY_JOBS_PREFIX = "hp_apps_v1_";
+
+const MIGRATIONS = {
+  // v1: attachment store
+  1(db) {
+    const store = db.createObjectStore(STORE, { keyPath: "key" });
+    store.createIndex("byJob", "jobKey");   // userId|jobId
+    store.createIndex("byUser", "userId");
+  },
+
+  // v2: job records move from localStorage into IndexedDB (one-time import)
+  2(db, tx) {
+    const jobs = db.createObjectStore(JOBS, { keyPath: "key" }); // userId|id
+    jobs.createIndex("byUser", "userId");
+
+    const imported = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const lsKey = localStorage.key(i);
+      if (!lsKey?.startsWith(LEGACY_JOBS_PREFIX)) continue;
+
+      const userId = lsKey.slice(LEGACY_JOBS_PREFIX.length);
+      let items = [];
+      try { items = JSON.parse(localStorage.getItem(lsKey) || "[]"); } catch {}
+      if (Array.isArray(items)) {
+        items.filter(it => it?.id).forEach(item => jobs.put(makeJobRecord({ userId, item })));
+      }
+      imported.push(lsKey);
+    }
+
+    // only forget the old copies once the upgrade has committed
+    tx.addEventListener("complete", () => imported.forEach(k => localStorage.removeItem(k)));
+  },
+
+  // v3: attachments keep every uploaded version instead of overwriting.
+  // Key becomes userId|jobId|type|versionId; the existing file becomes the current version.
+  3(db, tx) {
+    const store = tx.objectStore(STORE);
+    store.createIndex("bySlot", "slotKey"); // userId|jobId|type
+
+    store.openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const rec = cursor.value;
+      if (!rec.versionId) { // skip the re-keyed copies the cursor reaches later
+        const versionId = `v_${(rec.uploadedAt || 0).toString(36)}`;
+        cursor.delete();
+        store.put({
+          ...rec,
+          key: makeKey({ ...rec, versionId }),
+          slotKey: makeSlotKey(rec),
+          versionId,
+          label: "",
+          current: true,
+          submitted: false
+        });
+      }
+      cursor.continue();
+    };
+  },
+
+  // v4: document library. File versions reference a library document (docKey) instead of
+  // holding their own blob; older records keep theirs until adoptInlineFiles() hashes them.
+  4(db, tx) {
+    const docs = db.createObjectStore(DOCS, { keyPath: "key" }); // userId|sha256
+    docs.createIndex("byUser", "userId");
+    tx.objectStore(STORE).createIndex("byDoc", "docKey");
+  },
+
+  // v5: contacts per profile
+  5(db) {
+    const contacts = db.createObjectStore(CONTACTS, { keyPath: "key" }); // userId|id
+    contacts.createIndex("byUser", "userId");
+  }
+};
+
+let dbPromise = null;
 
 function openDB() {
-  return new Promise((resolve, reject) => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VERSION);
 
-    req.onupgradeneeded = () => {
+    req.onupgradeneeded = (e) => {
       const db = req.result;
-      const store = db.createObjectStore(STORE, { keyPath: "key" });
-      store.createIndex("byJob", "jobKey");   // userId|jobId
-      store.createIndex("byUser", "userId");
+      for (let v = e.oldVersion + 1; v <= DB_VERSION; v++) {
+        MIGRATIONS[v](db, req.transaction);
+      }
     };
 
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const db = req.result;
+      // another tab wants to upgrade: step aside, reopen on next use
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+    req.onblocked = () => console.warn("HiredPath database upgrade is waiting for other tabs to close.");
   });
+
+  return dbPromise;
 }
 
-function makeKey({ userId, jobId, type }) {
+function makeKey({ userId, jobId, type, versionId }) {
+  return `${userId}|${jobId}|${type}|${versionId}`;
+}
+function makeSlotKey({ userId, jobId, type }) {
   return `${userId}|${jobId}|${type}`;
 }
 function makeJobKey({ userId, jobId }) {
   return `${userId}|${jobId}`;
 }
+function makeDocKey({ userId, hash }) {
+  return `${userId}|${hash}`;
+}
+function newVersionId() {
+  return `v_${Date.now().toString(36)}_${Math.random().toString(16).slice(2, 8)}`;
+}
+function byUploadedAt(a, b) {
+  return (a.uploadedAt || 0) - (b.uploadedAt || 0);
+}
+
+async function sha256Hex(blob) {
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function readOne(storeName, key) {
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, "readonly");
+    const req = tx.objectStore(storeName).get(key);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+function readAll(storeName, indexName, query) {
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, "readonly");
+    const req = tx.objectStore(storeName).index(indexName).getAll(query);
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+function deleteAll(storeName, indexName, query) {
+  return openDB().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, "readwrite");
+    const store = tx.objectStore(storeName);
+    const req = store.index(indexName).getAllKeys(query);
+    req.onsuccess = () => req.result.forEach(key => store.delete(key));
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+  }));
+}
 
-export async function putFile({ userId, jobId, type, file }) {
+// Runs fn(versions, store) in one readwrite transaction over every version of a
+// (userId, jobId, type) slot; resolves with fn's return value once committed.
+async function withSlot(slot, fn) {
   const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, "readwrite");
+    const store = tx.objectStore(STORE);
+    let result;
+    const req = store.index("bySlot").getAll(makeSlotKey(slot));
+    req.onsuccess = () => { result = fn((req.result || []).sort(byUploadedAt), store); };
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Every upload is kept as a new version and becomes the current one. Pass `file` to upload
+// (stored in the library, deduplicated by content) or `docHash` to reuse a library document.
+// `sealed` (passphrase-protected profiles): encrypted { blob, filename, label } stored instead,
+// with the keyed `hash` of the plain file.
+export async function putFile({ userId, jobId, type, file, docHash, label = "", sealed, uploadedAt = Date.now() }) {
+  const doc = file
+    ? await putDocument({ userId, file, sealed })
+    : await readOne(DOCS, makeDocKey({ userId, hash: docHash }));
+  if (!doc) throw new Error("Document not found in the library");
+
+  const versionId = newVersionId();
   const rec = {
-    key: makeKey({ userId, jobId, type }),
+    key: makeKey({ userId, jobId, type, versionId }),
+    slotKey: makeSlotKey({ userId, jobId, type }),
     jobKey: makeJobKey({ userId, jobId }),
+    docKey: doc.key,
+    docHash: doc.hash,
     userId,
     jobId,
     type,
-    filename: file.name,
-    mime: file.type || "application/octet-stream",
-    uploadedAt: Date.now(),
-    blob: file
+    versionId,
+    label: sealed?.label || label,
+    current: true,
+    submitted: false,
+    filename: sealed?.filename || file?.name || doc.filename,
+    mime: file ? file.type || "application/octet-stream" : doc.mime,
+    size: doc.size,
+    uploadedAt
   };
 
+  return withSlot({ userId, jobId, type }, (versions, store) => {
+    versions.filter(v => v.current).forEach(v => store.put({ ...v, current: false }));
+    store.put(rec);
+    return rec;
+  });
+}
+
+// Library-backed versions hold no blob of their own
+async function withDocBlob(rec) {
+  if (!rec || rec.blob || !rec.docKey) return rec;
+  const doc = await readOne(DOCS, rec.docKey);
+  return doc ? { ...rec, blob: doc.blob } : null;
+}
+
+// The current version (or a specific one with versionId), blob included
+export async function getFile({ userId, jobId, type, versionId }) {
+  const versions = await listFileVersions({ userId, jobId, type });
+  const rec = versionId
+    ? versions.find(v => v.versionId === versionId)
+    : versions.find(v => v.current) || versions[versions.length - 1];
+  return withDocBlob(rec || null);
+}
+
+// Removes the current version (or a specific one); the newest remaining version becomes current
+export async function deleteFile({ userId, jobId, type, versionId }) {
+  return withSlot({ userId, jobId, type }, (versions, store) => {
+    const target = versionId
+      ? versions.find(v => v.versionId === versionId)
+      : versions.find(v => v.current);
+    if (!target) return false;
+
+    store.delete(target.key);
+    const rest = versions.filter(v => v !== target);
+    if (target.current && rest.length && !rest.some(v => v.current)) {
+      store.put({ ...rest[rest.length - 1], current: true });
+    }
+    return true;
+  });
+}
+
+// "Restore": make an earlier version the current one again
+export async function setCurrentFileVersion({ userId, jobId, type, versionId }) {
+  return withSlot({ userId, jobId, type }, (versions, store) => {
+    if (!versions.some(v => v.versionId === versionId)) return false;
+    versions.forEach(v => {
+      const current = v.versionId === versionId;
+      if (v.current !== current) store.put({ ...v, current });
+    });
+    return true;
+  });
+}
+
+// At most one version per slot is marked as the one actually sent
+export async function markSubmittedVersion({ userId, jobId, type, versionId, submitted = true }) {
+  return withSlot({ userId, jobId, type }, (versions, store) => {
+    versions.forEach(v => {
+      const next = submitted && v.versionId === versionId;
+      if (!!v.submitted !== next) store.put({ ...v, submitted: next });
+    });
+    return true;
+  });
+}
+
+// Every version of one slot, of every slot of a job when type is omitted,
+// or of the whole user when jobId is omitted too (oldest first)
+export async function listFileVersions({ userId, jobId, type }) {
+  const versions = type
+    ? await readAll(STORE, "bySlot", makeSlotKey({ userId, jobId, type }))
+    : jobId
+      ? await readAll(STORE, "byJob", makeJobKey({ userId, jobId }))
+      : await readAll(STORE, "byUser", userId);
+  return versions.sort(byUploadedAt);
+}
+
+// Re-homes every version of one job onto another (merging duplicates). The target keeps
+// its own current/submitted versions where it has them; resolves to the number moved.
+export async function moveFilesToJob({ userId, fromJobId, toJobId }) {
+  const db = await openDB();
   return new Promise((resolve, reject) => {
     const tx = db.transaction(STORE, "readwrite");
-    tx.objectStore(STORE).put(rec);
-    tx.oncomplete = () => resolve(rec);
+    const store = tx.objectStore(STORE);
+    const byJob = store.index("byJob");
+    let moved = 0;
+
+    byJob.getAll(makeJobKey({ userId, jobId: toJobId })).onsuccess = (e) => {
+      const staying = e.target.result || [];
+      byJob.getAll(makeJobKey({ userId, jobId: fromJobId })).onsuccess = (ev) => {
+        for (const v of (ev.target.result || []).sort(byUploadedAt)) {
+          const slot = staying.filter(s => s.type === v.type);
+          const next = {
+            ...v,
+            key: makeKey({ ...v, jobId: toJobId }),
+            slotKey: makeSlotKey({ ...v, jobId: toJobId }),
+            jobKey: makeJobKey({ userId, jobId: toJobId }),
+            jobId: toJobId,
+            current: !!v.current && !slot.some(s => s.current),
+            submitted: !!v.submitted && !slot.some(s => s.submitted)
+          };
+          store.delete(v.key);
+          store.put(next);
+          staying.push(next);
+          moved++;
+        }
+      };
+    };
+    tx.oncomplete = () => resolve(moved);
     tx.onerror = () => reject(tx.error);
   });
 }
 
-export async function getFile({ userId, jobId, type }) {
-  const db = await openDB();
-  const key = makeKey({ userId, jobId, type });
+// Current versions only (one per type)
+export async function listFilesForJob({ userId, jobId }) {
+  const versions = await readAll(STORE, "byJob", makeJobKey({ userId, jobId }));
+  return versions.filter(v => v.current);
+}
+
+export async function deleteFilesForJob({ userId, jobId }) {
+  return deleteAll(STORE, "byJob", makeJobKey({ userId, jobId }));
+}
 
+// Current versions of every job, metadata only (use getFile() for the blob)
+export async function listFilesForUser({ userId }) {
+  const versions = await readAll(STORE, "byUser", userId);
+  return versions.filter(v => v.current).map(({ blob, ...meta }) => meta);
+}
+
+export async function deleteFilesForUser({ userId }) {
+  return deleteAll(STORE, "byUser", userId);
+}
+
+/** ---------- Document library ---------- */
+// Stores the file unless the same bytes are already in the user's library; resolves to the document.
+// With `sealed` ({ blob, filename } encrypted, plus the keyed `hash` of the plain file) identical
+// uploads keep sharing one document without a plain SHA-256 of the content on disk.
+export async function putDocument({ userId, file, sealed, uploadedAt = Date.now() }) {
+  const hash = sealed?.hash || await sha256Hex(file);
+  const doc = {
+    key: makeDocKey({ userId, hash }),
+    userId,
+    hash,
+    filename: sealed?.filename || file.name,
+    mime: file.type || "application/octet-stream",
+    size: file.size,
+    uploadedAt,
+    blob: sealed?.blob || file
+  };
+
+  const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE, "readonly");
-    const req = tx.objectStore(STORE).get(key);
-    req.onsuccess = () => resolve(req.result || null);
-    req.onerror = () => reject(req.error);
+    const tx = db.transaction(DOCS, "readwrite");
+    const store = tx.objectStore(DOCS);
+    let result = doc;
+    const req = store.get(doc.key);
+    req.onsuccess = () => {
+      if (req.result) result = req.result;
+      else store.put(doc);
+    };
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
   });
 }
 
-export async function deleteFile({ userId, jobId, type }) {
+export async function getDocument({ userId, hash }) {
+  return readOne(DOCS, makeDocKey({ userId, hash }));
+}
+
+// Versions saved before the library (v4) carry their own blob: move each into the library once
+async function adoptInlineFiles(userId) {
+  const inline = (await readAll(STORE, "byUser", userId)).filter(rec => rec.blob && !rec.docKey);
+  for (const rec of inline) {
+    const file = new File([rec.blob], rec.filename || rec.type, { type: rec.mime, lastModified: rec.uploadedAt });
+    const doc = await putDocument({ userId, file, uploadedAt: rec.uploadedAt });
+
+    const db = await openDB();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, "readwrite");
+      const store = tx.objectStore(STORE);
+      const req = store.get(rec.key);
+      req.onsuccess = () => {
+        const latest = req.result;
+        if (!latest?.blob || latest.docKey) return; // changed meanwhile
+        const { blob, ...rest } = latest;
+        store.put({ ...rest, docKey: doc.key, docHash: doc.hash, size: doc.size });
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+}
+
+export async function listDocuments({ userId }) {
+  await adoptInlineFiles(userId);
+  const docs = await readAll(DOCS, "byUser", userId);
+  return docs.sort(byUploadedAt);
+}
+
+// Resolves to false (and keeps the document) while any file version still uses it
+export async function deleteDocument({ userId, hash }) {
   const db = await openDB();
-  const key = makeKey({ userId, jobId, type });
+  const key = makeDocKey({ userId, hash });
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE, DOCS], "readwrite");
+    let deleted = false;
+    const req = tx.objectStore(STORE).index("byDoc").count(key);
+    req.onsuccess = () => {
+      if (req.result) return;
+      tx.objectStore(DOCS).delete(key);
+      deleted = true;
+    };
+    tx.oncomplete = () => resolve(deleted);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export async function deleteDocumentsForUser({ userId }) {
+  return deleteAll(DOCS, "byUser", userId);
+}
 
+// Writes file versions and library documents back as given, keys unchanged, in one transaction
+// (encrypting or decrypting a profile in place)
+export async function putFileRecords({ versions = [], docs = [] }) {
+  const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE, "readwrite");
-    tx.objectStore(STORE).delete(key);
+    const tx = db.transaction([STORE, DOCS], "readwrite");
+    versions.forEach(v => tx.objectStore(STORE).put(v));
+    docs.forEach(d => tx.objectStore(DOCS).put(d));
     tx.oncomplete = () => resolve(true);
     tx.onerror = () => reject(tx.error);
   });
 }
 
-// ✅ what you mentioned:
-export async function listFilesForJob({ userId, jobId }) {
+// Stores a library document under the hash of `file` (`hash` when given, else its SHA-256) and
+// points its file versions there, in one transaction: setting or removing a passphrase changes
+// how a profile's documents are fingerprinted
+export async function rehashDocument({ userId, doc, file, hash }) {
+  const nextHash = hash || await sha256Hex(file);
+  const key = makeDocKey({ userId, hash: nextHash });
   const db = await openDB();
-  const jobKey = makeJobKey({ userId, jobId });
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([STORE, DOCS], "readwrite");
+    const versions = tx.objectStore(STORE);
+    const docs = tx.objectStore(DOCS);
+    docs.put({ ...doc, key, hash: nextHash });
+    if (doc.key !== key) {
+      docs.delete(doc.key);
+      const req = versions.index("byDoc").getAll(doc.key);
+      req.onsuccess = () => req.result.forEach(v => versions.put({ ...v, docKey: key, docHash: nextHash }));
+    }
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/** ---------- Jobs ---------- */
+function makeJobRecord({ userId, item }) {
+  return { key: `${userId}|${item.id}`, userId, item };
+}
 
+export async function loadJobs({ userId }) {
+  const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE, "readonly");
-    const idx = tx.objectStore(STORE).index("byJob");
-    const req = idx.getAll(jobKey);
-    req.onsuccess = () => resolve(req.result || []);
+    const tx = db.transaction(JOBS, "readonly");
+    const req = tx.objectStore(JOBS).index("byUser").getAll(userId);
+    req.onsuccess = () => resolve((req.result || []).map(rec => rec.item));
     req.onerror = () => reject(req.error);
   });
 }
 
-export async function deleteFilesForJob({ userId, jobId }) {
-  const files = await listFilesForJob({ userId, jobId });
-  await Promise.all(files.map(f => deleteFile({ userId, jobId, type: f.type })));
+// Replaces every job of the user in one transaction
+export async function saveJobs({ userId, items }) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(JOBS, "readwrite");
+    const store = tx.objectStore(JOBS);
+    const req = store.index("byUser").getAllKeys(userId);
+    req.onsuccess = () => {
+      req.result.forEach(key => store.delete(key));
+      items.forEach(item => store.put(makeJobRecord({ userId, item })));
+    };
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+  });
 }
 
-export async function listFilesForUser({ userId }) {
+export async function putJob({ userId, item }) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE, "readonly");
-    const idx = tx.objectStore(STORE).index("byUser");
-    const req = idx.getAll(userId);
-    req.onsuccess = () => resolve(req.result || []);
-    req.onerror = () => reject(req.error);
+    const tx = db.transaction(JOBS, "readwrite");
+    tx.objectStore(JOBS).put(makeJobRecord({ userId, item }));
+    tx.oncomplete = () => resolve(item);
+    tx.onerror = () => reject(tx.error);
   });
 }
 
-export async function deleteFilesForUser({ userId }) {
+export async function deleteJob({ userId, id }) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(JOBS, "readwrite");
+    tx.objectStore(JOBS).delete(`${userId}|${id}`);
+    tx.oncomplete = () => resolve(true);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export async function deleteJobsForUser({ userId }) {
+  return saveJobs({ userId, items: [] });
+}
+
+/** ---------- Contacts ---------- */
+function makeContactRecord({ userId, contact }) {
+  return { key: `${userId}|${contact.id}`, userId, contact };
+}
+
+export async function loadContacts({ userId }) {
+  return (await readAll(CONTACTS, "byUser", userId)).map(rec => rec.contact);
+}
+
+export async function putContact({ userId, contact }) {
   const db = await openDB();
-  const all = await listFilesForUser({ userId });
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CONTACTS, "readwrite");
+    tx.objectStore(CONTACTS).put(makeContactRecord({ userId, contact }));
+    tx.oncomplete = () => resolve(contact);
+    tx.onerror = () => reject(tx.error);
+  });
+}
 
+export async function deleteContact({ userId, id }) {
+  const db = await openDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction(STORE, "readwrite");
-    const store = tx.objectStore(STORE);
-    all.forEach(rec => store.delete(rec.key));
+    const tx = db.transaction(CONTACTS, "readwrite");
+    tx.objectStore(CONTACTS).delete(`${userId}|${id}`);
     tx.oncomplete = () => resolve(true);
     tx.onerror = () => reject(tx.error);
   });
-}
\ No newline at end of file
+}
+
+export async function deleteContactsForUser({ userId }) {
+  return deleteAll(CONTACTS, "byUser", userId);
+}
@@ -0,0 +1,144 @@
+// vault.js — passphrase encryption for Local mode profiles (WebCrypto only, nothing leaves the device)
+// A random AES-GCM data key encrypts the profile's data. The key derived from the passphrase
+// (PBKDF2-SHA-256) only wraps that data key, so changing the passphrase re-wraps one key instead
+// of re-encrypting every record.
+//
+// Sealed text is "hpenc1:" + base64(iv + ciphertext); sealed blobs start with the same marker
+// bytes. Plain values pass through open*() untouched, so a profile half-way through being
+// converted (tab closed mid-way) still reads back correctly.
+
+const PREFIX = "hpenc1:";
+const MAGIC = new TextEncoder().encode(PREFIX);
+const ITERATIONS = 310000;
+const IV_BYTES = 12;
+const DATA_KEY = { name: "AES-GCM", length: 256 };
+
+function toBase64(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s);
+}
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function deriveWrappingKey(passphrase, salt, iterations) {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["wrapKey", "unwrapKey"]
+  );
+}
+
+async function wrap(key, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const wrapped = await crypto.subtle.wrapKey("raw", key, await deriveWrappingKey(passphrase, salt, ITERATIONS), { name: "AES-GCM", iv });
+  return {
+    v: 1,
+    iterations: ITERATIONS,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    wrappedKey: toBase64(new Uint8Array(wrapped))
+  };
+}
+
+// A new vault: { meta } is stored with the profile, { key } must only ever live in memory
+export async function createVault(passphrase) {
+  const key = await crypto.subtle.generateKey(DATA_KEY, true, ["encrypt", "decrypt"]);
+  return { meta: await wrap(key, passphrase), key };
+}
+
+// Resolves to the data key, or null when the passphrase is wrong
+export async function unlockVault(meta, passphrase) {
+  const kek = await deriveWrappingKey(passphrase, fromBase64(meta.salt), meta.iterations);
+  try {
+    return await crypto.subtle.unwrapKey(
+      "raw",
+      fromBase64(meta.wrappedKey),
+      kek,
+      { name: "AES-GCM", iv: fromBase64(meta.iv) },
+      DATA_KEY,
+      true,
+      ["encrypt", "decrypt"]
+    );
+  } catch {
+    return null;
+  }
+}
+
+// The same data key under a new passphrase; resolves to the new meta
+export function rewrapVault(key, passphrase) {
+  return wrap(key, passphrase);
+}
+
+async function encrypt(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, bytes));
+  const out = new Uint8Array(IV_BYTES + data.length);
+  out.set(iv);
+  out.set(data, IV_BYTES);
+  return out;
+}
+
+async function decrypt(key, bytes) {
+  if (!key) throw new Error("No key to decrypt with");
+  return crypto.subtle.decrypt({ name: "AES-GCM", iv: bytes.subarray(0, IV_BYTES) }, key, bytes.subarray(IV_BYTES));
+}
+
+export function isSealed(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+export async function sealText(key, text) {
+  return PREFIX + toBase64(await encrypt(key, new TextEncoder().encode(text)));
+}
+
+export async function openText(key, value) {
+  if (!isSealed(value)) return value;
+  return new TextDecoder().decode(await decrypt(key, fromBase64(value.slice(PREFIX.length))));
+}
+
+export async function isSealedBlob(blob) {
+  const head = new Uint8Array(await blob.slice(0, MAGIC.length).arrayBuffer());
+  return head.length === MAGIC.length && head.every((b, i) => b === MAGIC[i]);
+}
+
+export async function sealBlob(key, blob) {
+  const data = await encrypt(key, new Uint8Array(await blob.arrayBuffer()));
+  return new Blob([MAGIC, data], { type: "application/octet-stream" });
+}
+
+// A keyed fingerprint of the bytes: HMAC-SHA-256 under a key derived (HKDF) from the data key.
+// Identical files still get the same value, but without the key nobody can tell whether a
+// known file is stored, as they could with a plain SHA-256.
+const hashKeys = new WeakMap(); // data key -> HMAC key
+
+async function hashKeyFor(key) {
+  if (!hashKeys.has(key)) {
+    const base = await crypto.subtle.importKey("raw", await crypto.subtle.exportKey("raw", key), "HKDF", false, ["deriveKey"]);
+    hashKeys.set(key, await crypto.subtle.deriveKey(
+      { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(0), info: new TextEncoder().encode("hiredpath document hash") },
+      base,
+      { name: "HMAC", hash: "SHA-256" },
+      false,
+      ["sign"]
+    ));
+  }
+  return hashKeys.get(key);
+}
+
+export async function keyedHash(key, blob) {
+  const mac = await crypto.subtle.sign("HMAC", await hashKeyFor(key), await blob.arrayBuffer());
+  return [...new Uint8Array(mac)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// `type` restores the MIME type the encrypted copy doesn't carry
+export async function openBlob(key, blob, type) {
+  if (!blob || !(await isSealedBlob(blob))) return blob;
+  const bytes = new Uint8Array(await blob.arrayBuffer()).subarray(MAGIC.length);
+  return new Blob([await decrypt(key, bytes)], { type: type || "application/octet-stream" });
+}